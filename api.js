@@ -0,0 +1,148 @@
+// api.js
+// Programmatic API to embed the pipeline in other services. Unlike a pipeline
+// file, createPipeline takes the mapping, sources, shapes, rules and queries
+// in memory, writes no files unless asked, and emits an event before and
+// after every stage. It logs through logger.js and prints nothing itself:
+// the results are returned.
+import { EventEmitter } from 'events';
+import * as N3 from 'n3';
+import { runSparqlQuery, serializeQuads } from './helpers.js';
+import { runReasoner } from './reasoners.js';
+import { mapContents, validateContents } from './pipeline.js';
+import { stageMetrics } from './metrics.js';
+
+// Emit an event and wait for its listeners, so async listeners can act as hooks
+async function emitAndWait(emitter, event, payload) {
+  for (const listener of emitter.listeners(event)) {
+    await listener(payload);
+  }
+}
+
+// Queries as [name, query] entries: a single query, an array or { name: query }
+function queryEntries(queries) {
+  if (typeof queries === 'string') return [['query', queries]];
+  if (Array.isArray(queries)) return queries.map((query, index) => [index, query]);
+  return Object.entries(queries || {});
+}
+
+// Function to create a pipeline over inputs held in memory
+// options:
+// - mapping: the YARRRML mapping, sources: { name used in the mapping: content }
+// - mapper: 'rmlmapper-js' (default) or 'own', policy: 'emit' (default), 'skip'
+//   or 'fail', report and provenance: also return those of the mapping
+// - shapes: SHACL shapes in Turtle, onViolation: 'stop' (default) or 'continue'
+// - rules: N3 rules, or the { modules, files, disable, directory } of loadRules
+// - reasoner: 'eye' (default) or another registered reasoner, mode and query
+//   (the N3 query document of the query mode), inputFile and outputFile: debug
+//   files of the reasoner input and output, only written when given
+// - queries: a SPARQL query, an array of them or { name: query }
+// - useReasoningResults: query the mapped and inferred triples (default true)
+// The pipeline is an EventEmitter with the stages as async functions:
+// map(), validate(triples), reason(triples) and query(triples, inferred), which
+// default to the results of the earlier stages, and run() for all of them.
+// Before and after every stage it emits 'stage:start' { stage, input } and
+// 'stage:end' { stage, result, duration, metrics } (or 'stage:error' { stage, error });
+// the stage waits for async listeners, so they can inspect or change the input
+// and result objects.
+export function createPipeline(options = {}) {
+  const pipeline = new EventEmitter();
+  const results = {};
+
+  // Run a stage between its events, keeping its result for the next stages
+  async function stage(name, input, run) {
+    await emitAndWait(pipeline, 'stage:start', { stage: name, input });
+    const started = Date.now();
+    let result;
+    try {
+      result = await run(input);
+    } catch (error) {
+      await emitAndWait(pipeline, 'stage:error', { stage: name, error });
+      throw error;
+    }
+    const event = { stage: name, result, duration: Date.now() - started, metrics: stageMetrics(name, result) };
+    await emitAndWait(pipeline, 'stage:end', event);
+    results[name] = event.result;
+    return event.result;
+  }
+
+  // The mapped triples of an argument or of the map stage
+  function mappedTriples(triples, stageName) {
+    const value = triples ?? results.map?.triples;
+    if (value === undefined) {
+      throw new Error(`The ${stageName} stage needs triples, pass them or run map() first`);
+    }
+    return value;
+  }
+
+  // Function to map the sources, returning { triples, quads, report, provenance }
+  pipeline.map = async () => {
+    if (!options.mapping) throw new Error("createPipeline needs a 'mapping' to map");
+    return stage('map', { mapping: options.mapping, sources: options.sources || {} }, input =>
+      mapContents(input.mapping, input.sources, {
+        mapper: options.mapper,
+        policy: options.policy,
+        report: options.report,
+        provenance: options.provenance,
+      }));
+  };
+
+  // Function to validate triples against the shapes, returning the validation
+  // results; fails on sh:Violation results unless onViolation is 'continue'
+  pipeline.validate = async triples => {
+    if (!options.shapes) throw new Error("createPipeline needs 'shapes' to validate");
+    return stage('validate', { triples: mappedTriples(triples, 'validate'), shapes: options.shapes }, input =>
+      validateContents(input.triples, input.shapes, { onViolation: options.onViolation, print: false }));
+  };
+
+  // Function to reason over triples with the rules, returning the inferred
+  // triples as an N3 Store
+  pipeline.reason = async triples => {
+    if (!options.rules) throw new Error("createPipeline needs 'rules' to reason");
+    return stage('reason', { triples: mappedTriples(triples, 'reason'), rules: options.rules }, input =>
+      runReasoner(options.reasoner || 'eye', input.triples, input.rules, {
+        mode: options.mode,
+        query: options.query,
+        inputFile: options.inputFile || false,
+        outputFile: options.outputFile || false,
+        print: false,
+      }));
+  };
+
+  // Function to run the queries over triples and the inferred triples, returning
+  // the result of runSparqlQuery for each, in the shape of options.queries
+  // Mapped quads keep their source graph, see buildDataset.
+  pipeline.query = async (triples, inferred) => {
+    const entries = queryEntries(options.queries);
+    if (entries.length === 0) throw new Error("createPipeline needs 'queries' to query");
+    const { useReasoningResults = true } = options;
+    if (triples === undefined && results.map?.quads) {
+      triples = await serializeQuads(results.map.quads, 'nquads');
+    }
+    const input = {
+      triples: mappedTriples(triples, 'query'),
+      inferred: inferred ?? results.reason ?? new N3.Store(),
+      queries: entries,
+    };
+    return stage('query', input, async ({ triples: data, inferred: reasoningResults, queries }) => {
+      const answers = [];
+      for (const [name, query] of queries) {
+        answers.push([name, await runSparqlQuery(data, query, reasoningResults, useReasoningResults, { print: false })]);
+      }
+      if (typeof options.queries === 'string') return answers[0][1];
+      return Array.isArray(options.queries) ? answers.map(([, answer]) => answer) : Object.fromEntries(answers);
+    });
+  };
+
+  // Function to run the stages that have their inputs: map, then validate,
+  // reason and query when shapes, rules and queries are given
+  // Returns { mapping, validation, inferred, queryResults }.
+  pipeline.run = async () => {
+    const mapping = await pipeline.map();
+    const validation = options.shapes ? await pipeline.validate() : undefined;
+    const inferred = options.rules ? await pipeline.reason() : undefined;
+    const queryResults = options.queries ? await pipeline.query() : undefined;
+    return { mapping, validation, inferred, queryResults };
+  };
+
+  return pipeline;
+}
@@ -0,0 +1,342 @@
+#!/usr/bin/env node
+// cli.mjs
+import { parseArgs } from 'util';
+import path from 'path';
+import {
+  loadPipeline,
+  resolvePipeline,
+  runPipeline,
+  runMapStage,
+  runValidateStage,
+  runReasonStage,
+  runQueryStage,
+  runDatasetStage,
+  runUpdatePipeline,
+  runStreamPipeline,
+  runServe,
+  runStoreCommand,
+} from './pipeline.js';
+import { listRuleModules } from './helpers.js';
+import { closeQuadStores } from './quadstore.js';
+import { logger, configureLogger } from './logger.js';
+import { withRunSummary } from './metrics.js';
+
+const usage = `
+Usage: kg <command> [pipeline.yaml] [options]
+       kg store <load|clear|compact|info> [pipeline.yaml] [options]
+
+Commands:
+  run      Run every stage defined in the pipeline
+  map      Map the input sources to N-Triples
+  validate Validate existing N-Triples against SHACL shapes
+  reason   Run the rules over existing N-Triples
+  query    Run the SPARQL query over existing N-Triples (and inferred triples)
+  dataset  Write the mapped and inferred triples in their named graphs (N-Quads, TriG or JSON-LD)
+  update   Map and reason over only what changed in the sources since the last update
+  stream   Run continuous queries over windows of a stream of events, until Ctrl+C
+  serve    Serve the data and inferred triples on a local SPARQL endpoint, until Ctrl+C
+  rules    List the rule modules of the rule library
+  store    Load data into the persistent quad store, clear, compact or describe it
+
+Options (override the pipeline file):
+  --mapping <file>        YARRRML mapping
+  --mapper <name>         Mapping engine: rmlmapper-js (default) or own
+  --streaming             Map row by row straight to the output (own mapper)
+  --policy <policy>       Rows with data-quality issues: emit, skip or fail
+  --report <file>         Save the mapping data-quality report as JSON
+  --source <name=file>    Input source for the mapping, repeatable
+  --graph-per-source      Put the mapped triples of each source in its own named graph (own mapper)
+  --provenance <file>     Save the source, row and TriplesMap of every mapped triple (PROV-O, .nq, .trig or .jsonld)
+  --shapes <file>         SHACL shapes, repeatable
+  --continue-on-violation Continue the pipeline when the data has violations
+  --rules <file>          N3 rules file or directory, repeatable
+  --module <name>         Rule module of the rule library, repeatable
+  --disable <name>        Rule module to leave out, repeatable
+  --rule-dir <dir>        Directory of the rule library (default rules/)
+  --reasoner <name>       Reasoner: eye (default) or js
+  --compare-with <name>   Also reason with this reasoner and fail when the results differ
+  --reasoner-mode <mode>  derivations (default), closure, query (with --n3-query) or proof
+  --n3-query <file>       N3 query (filter) document for the query reasoner mode
+  --query <file>          SPARQL query
+  --data <file>           N-Triples to validate, reason over or query
+  --inferred <file>       Reasoning results to query
+  --no-inferred           Query the data without the reasoning results
+  --format <format>       Query results: table (default), json, xml, csv or tsv; an output format
+                          (e.g. turtle, jsonld) for CONSTRUCT and DESCRIBE
+  --write-back            Write CONSTRUCT/DESCRIBE results or UPDATE changes into the queried data file
+  --state <file>          State file of incremental updates
+  --stream-source <src>   Events to stream: a file (followed as it grows), - for stdin or tcp://host:port
+  --no-follow             Stop at the end of the stream file instead of following it
+  --window-type <type>    Stream window: sliding (default) or tumbling
+  --range <duration>      Stream window range, e.g. 10m
+  --slide <duration>      Stream window slide of sliding windows, e.g. 1m
+  --port <port>           Port of the SPARQL endpoint (default 3030)
+  --host <host>           Host of the SPARQL endpoint (default localhost)
+  --graph-store           Also serve the Graph Store Protocol, to read and upload graphs
+  --allow-update          Accept SPARQL updates and graph uploads on the endpoint (in memory)
+  --cors <origin>         Let the frontend on <origin> (or *) call the endpoint from the browser
+  --store <dir>           Persistent quad store that the stages write into and query
+  --graph <iri>           Named graph to load into or clear (kg store)
+  --output <file>         Output of the stage that is run
+  --export <file>         Also write the output of map or reason to <file>, repeatable;
+                          the format follows the extension: .nt, .ttl, .nq, .trig or .jsonld
+  --metrics <file>        Save a run summary with the duration and counts of every stage as JSON
+  --log-level <level>     Log level: error, warn, info (default) or debug
+  --log-format <format>   Log format: text (default) or json, one JSON object per line
+  -h, --help              Show this help
+`;
+
+const options = {
+  mapping: { type: 'string' },
+  mapper: { type: 'string' },
+  streaming: { type: 'boolean' },
+  policy: { type: 'string' },
+  report: { type: 'string' },
+  source: { type: 'string', multiple: true },
+  'graph-per-source': { type: 'boolean' },
+  provenance: { type: 'string' },
+  shapes: { type: 'string', multiple: true },
+  'continue-on-violation': { type: 'boolean' },
+  rules: { type: 'string', multiple: true },
+  module: { type: 'string', multiple: true },
+  disable: { type: 'string', multiple: true },
+  'rule-dir': { type: 'string' },
+  reasoner: { type: 'string' },
+  'compare-with': { type: 'string' },
+  'reasoner-mode': { type: 'string' },
+  'n3-query': { type: 'string' },
+  query: { type: 'string' },
+  data: { type: 'string' },
+  inferred: { type: 'string' },
+  'no-inferred': { type: 'boolean' },
+  'write-back': { type: 'boolean' },
+  format: { type: 'string' },
+  state: { type: 'string' },
+  'stream-source': { type: 'string' },
+  'no-follow': { type: 'boolean' },
+  'window-type': { type: 'string' },
+  range: { type: 'string' },
+  slide: { type: 'string' },
+  port: { type: 'string' },
+  host: { type: 'string' },
+  'graph-store': { type: 'boolean' },
+  'allow-update': { type: 'boolean' },
+  cors: { type: 'string' },
+  store: { type: 'string' },
+  graph: { type: 'string' },
+  output: { type: 'string' },
+  export: { type: 'string', multiple: true },
+  metrics: { type: 'string' },
+  'log-level': { type: 'string' },
+  'log-format': { type: 'string' },
+  help: { type: 'boolean', short: 'h' },
+};
+
+// Build the pipeline section overrides for a single-stage command
+function stageOverrides(command, values) {
+  const overrides = {};
+
+  const mappingOptions = ['mapping', 'mapper', 'streaming', 'policy', 'report', 'source', 'graph-per-source', 'provenance'];
+  if (command === 'map' || mappingOptions.some(option => values[option])) {
+    overrides.mapping = {};
+    if (values.mapping) overrides.mapping.file = values.mapping;
+    if (values.mapper) overrides.mapping.mapper = values.mapper;
+    if (values.streaming) overrides.mapping.streaming = true;
+    if (values.policy) overrides.mapping.policy = values.policy;
+    if (values.report) overrides.mapping.report = values.report;
+    if (values.source) {
+      overrides.mapping.sources = Object.fromEntries(values.source.map(source => {
+        const separator = source.indexOf('=');
+        if (separator === -1) {
+          // A bare file is named after its basename, as in the mapping's sources
+          return [path.basename(source), source];
+        }
+        return [source.slice(0, separator), source.slice(separator + 1)];
+      }));
+    }
+    if (values['graph-per-source']) overrides.mapping.graphPerSource = true;
+    if (values.provenance) overrides.mapping.provenance = values.provenance;
+    if (command === 'map' && values.output) overrides.mapping.output = values.output;
+    if (command === 'map' && values.export) overrides.mapping.outputs = values.export;
+  }
+
+  if (command === 'validate' || values.shapes || values['continue-on-violation']) {
+    overrides.validation = {};
+    if (values.shapes) overrides.validation.shapes = values.shapes;
+    if (values['continue-on-violation']) overrides.validation.onViolation = 'continue';
+    if (command === 'validate' && values.data) overrides.validation.data = values.data;
+    if (command === 'validate' && values.output) overrides.validation.report = values.output;
+  }
+
+  const reasoningOptions = ['rules', 'module', 'disable', 'rule-dir', 'reasoner', 'compare-with', 'reasoner-mode', 'n3-query'];
+  if (command === 'reason' || reasoningOptions.some(option => values[option])) {
+    overrides.reasoning = {};
+    if (values.rules) overrides.reasoning.rules = values.rules;
+    if (values.module) overrides.reasoning.modules = values.module;
+    if (values.disable) overrides.reasoning.disable = values.disable;
+    if (values['rule-dir']) overrides.reasoning.ruleDirectory = values['rule-dir'];
+    if (values.reasoner) overrides.reasoning.reasoner = values.reasoner;
+    if (values['compare-with']) overrides.reasoning.compareWith = values['compare-with'];
+    if (values['reasoner-mode']) overrides.reasoning.mode = values['reasoner-mode'];
+    if (values['n3-query']) {
+      overrides.reasoning.query = values['n3-query'];
+      overrides.reasoning.mode = values['reasoner-mode'] || 'query';
+    }
+    if (command === 'reason' && values.data) overrides.reasoning.data = values.data;
+    if (command === 'reason' && values.output) overrides.reasoning.output = values.output;
+    if (command === 'reason' && values.export) overrides.reasoning.outputs = values.export;
+  }
+
+  const streamOptions = ['stream-source', 'no-follow', 'window-type', 'range', 'slide'];
+  if (command === 'stream' || streamOptions.some(option => values[option])) {
+    overrides.stream = {};
+    if (values['stream-source']) overrides.stream.source = values['stream-source'];
+    if (values['no-follow']) overrides.stream.follow = false;
+    const window = {};
+    if (values['window-type']) window.type = values['window-type'];
+    if (values.range) window.range = values.range;
+    if (values.slide) window.slide = values.slide;
+    if (Object.keys(window).length > 0) overrides.stream.window = window;
+    if (command === 'stream' && values.query) overrides.stream.queries = [values.query];
+    if (command === 'stream' && values.output) overrides.stream.output = values.output;
+  }
+
+  const queryCommand = ['query', 'serve', 'dataset'].includes(command);
+  if (queryCommand || values['write-back'] || values.format || (values.query && command !== 'stream')) {
+    overrides.query = {};
+    if (values.query) overrides.query.file = values.query;
+    if (queryCommand && values.data) overrides.query.data = values.data;
+    if (values.inferred) overrides.query.inferred = values.inferred;
+    if (values['no-inferred']) overrides.query.useReasoningResults = false;
+    if (values['write-back']) overrides.query.writeBack = true;
+    if (values.format) overrides.query.format = values.format;
+    if (command === 'query' && values.output) overrides.query.output = values.output;
+  }
+
+  const serveOptions = ['port', 'host', 'graph-store', 'allow-update', 'cors'];
+  if (command === 'serve' || serveOptions.some(option => values[option])) {
+    overrides.serve = {};
+    if (values.port) overrides.serve.port = Number(values.port);
+    if (values.host) overrides.serve.host = values.host;
+    if (values['graph-store']) overrides.serve.graphStore = true;
+    if (values['allow-update']) overrides.serve.update = true;
+    if (values.cors) overrides.serve.cors = values.cors;
+  }
+
+  if (command === 'dataset' && values.output) {
+    overrides.dataset = { outputs: [values.output] };
+  }
+
+  if (values.store) {
+    overrides.store = { path: values.store };
+  }
+
+  if (values.state) {
+    overrides.incremental = { state: values.state };
+  }
+
+  if (values.metrics) {
+    overrides.metrics = { output: values.metrics };
+  }
+
+  return overrides;
+}
+
+// Merge the command line overrides into the pipeline loaded from file
+function mergePipeline(pipeline, overrides) {
+  const merged = { ...pipeline };
+  for (const [section, settings] of Object.entries(resolvePipeline(overrides))) {
+    const defined = Object.fromEntries(
+      Object.entries(settings).filter(([key, value]) =>
+        value !== undefined && key in overrides[section])
+    );
+    // Settings that are objects, such as the stream window, are merged too
+    for (const [key, value] of Object.entries(defined)) {
+      const current = pipeline[section]?.[key];
+      if (value?.constructor === Object && current?.constructor === Object) {
+        defined[key] = { ...current, ...value };
+      }
+    }
+    merged[section] = { ...(pipeline[section] || settings), ...defined };
+  }
+  return merged;
+}
+
+// Print the rule modules of the rule library
+function printRuleModules(directory) {
+  for (const { name, description } of listRuleModules(directory)) {
+    process.stdout.write(`${name.padEnd(28)} ${description}\n`);
+  }
+}
+
+async function main() {
+  const { values, positionals } = parseArgs({ options, allowPositionals: true });
+  const [command, pipelineFile] = positionals;
+  configureLogger({ level: values['log-level'], format: values['log-format'] });
+
+  if (values.help || !command) {
+    process.stdout.write(`${usage}\n`);
+    return;
+  }
+  if (command === 'store') {
+    const [, action, storePipelineFile] = positionals;
+    const pipeline = mergePipeline(
+      storePipelineFile ? loadPipeline(storePipelineFile) : {},
+      stageOverrides(command, values)
+    );
+    await runStoreCommand(pipeline, action, { data: values.data, graph: values.graph });
+    await closeQuadStores();
+    return;
+  }
+  if (command === 'rules') {
+    const reasoning = pipelineFile ? loadPipeline(pipelineFile).reasoning : undefined;
+    printRuleModules(values['rule-dir'] || reasoning?.ruleDirectory);
+    return;
+  }
+
+  const stages = {
+    run: runPipeline,
+    map: runMapStage,
+    validate: runValidateStage,
+    reason: runReasonStage,
+    query: runQueryStage,
+    dataset: runDatasetStage,
+    update: runUpdatePipeline,
+    stream: runStreamPipeline,
+    serve: runServe,
+  };
+  if (!stages[command]) {
+    throw new Error(`Unknown command '${command}'\n${usage}`);
+  }
+
+  const pipeline = mergePipeline(
+    pipelineFile ? loadPipeline(pipelineFile) : {},
+    stageOverrides(command, values)
+  );
+  if (command === 'stream') {
+    // Ctrl+C ends the stream, after the open windows are evaluated
+    const controller = new AbortController();
+    process.once('SIGINT', () => controller.abort());
+    await runStreamPipeline(pipeline, { signal: controller.signal });
+    return;
+  }
+  if (command === 'serve') {
+    // Ctrl+C stops the server and closes the quad store
+    const server = await runServe(pipeline);
+    process.once('SIGINT', () => {
+      server.close();
+      closeQuadStores().catch(error => logger.error(`Error closing the quad store: ${error.message}`));
+    });
+    return;
+  }
+  await withRunSummary(pipeline, () => stages[command](pipeline));
+  await closeQuadStores();
+}
+
+main().catch(error => {
+  logger.error(`An error occurred: ${error.message}`);
+  process.exitCode = 1;
+  return closeQuadStores();
+}).catch(error => {
+  logger.error(`Error closing the quad store: ${error.message}`);
+});
@@ -1,77 +1,58 @@
 // helpers.js
 import * as N3 from 'n3';
-import { n3reasoner } from 'eyereasoner';
+import { n3reasoner, SwiplEye, queryOnce } from 'eyereasoner';
 import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
 import { QueryEngine } from '@comunica/query-sparql';
+import SparqlJs from 'sparqljs';
 import Table from 'cli-table3';
+import { parseTurtle } from '@comake/rmlmapper-js';
+import SHACLValidator from 'rdf-validate-shacl';
+import jsonld from 'jsonld';
+import { createRequire } from 'module';
+import { TEMPORAL_SPARQL_FUNCTIONS } from './other/temporal.js';
+import { logger } from './logger.js';
+const require = createRequire(import.meta.url);
+const yarrrmlParserModule = require('@rmlio/yarrrml-parser/lib/rml-generator');
+const YarrrmlParser = yarrrmlParserModule.default || yarrrmlParserModule;
 
 
-// Function to convert JSON-LD to N-Triples
-export async function jsonLdToNTriples(jsonLdData) {
-  // Create a simple store for holding the triples
-  const store = new N3.Store();
-  
-  // Process each entity in the JSON-LD array
-  jsonLdData.forEach(entity => {
-    // Get the subject from @id or generate a blank node
-    const subject = entity['@id'] || `_:b${Math.random().toString(36).substring(2, 15)}`;
-    
-    // Process each predicate-object pair
-    Object.entries(entity).forEach(([predicate, objects]) => {
-      if (predicate === '@id' || predicate === '@context') return;
-      
-      // Handle type separately
-      if (predicate === '@type') {
-        const types = Array.isArray(objects) ? objects : [objects];
-        types.forEach(type => {
-          store.addQuad(
-            N3.DataFactory.namedNode(subject),
-            N3.DataFactory.namedNode('http://www.w3.org/1999/02/22-rdf-syntax-ns#type'),
-            N3.DataFactory.namedNode(type)
-          );
-        });
-        return;
-      }
-      
-      // Handle regular predicates
-      const values = Array.isArray(objects) ? objects : [objects];
-      values.forEach(value => {
-        // Determine the object type (literal or URI)
-        let object;
-        if (typeof value === 'object' && value !== null) {
-          if (value['@id']) {
-            // URI reference
-            object = N3.DataFactory.namedNode(value['@id']);
-          } else if (value['@value']) {
-            // Typed or language literal
-            const datatype = value['@type'] ? N3.DataFactory.namedNode(value['@type']) : null;
-            const language = value['@language'] || '';
-            object = N3.DataFactory.literal(value['@value'], language || datatype);
-          } else {
-            // Skip complex objects for simplicity
-            return;
-          }
-        } else if (typeof value === 'string') {
-          object = N3.DataFactory.literal(value);
-        } else if (value !== null) {
-          object = N3.DataFactory.literal(String(value));
-        } else {
-          return; // Skip null values
-        }
-
-        store.addQuad(
-          N3.DataFactory.namedNode(subject),
-          N3.DataFactory.namedNode(predicate),
-          object
-        );
-      });
-    });
-  });
-  
-  // Convert to N-Triples string
-  const writer = new N3.Writer({ format: 'N-Triples' });
-  store.forEach(quad => writer.addQuad(quad));
-  
+// Convert a term produced by jsonld.js to an N3 term
+function toN3Term(term) {
+  switch (term.termType) {
+    case 'NamedNode':
+      return N3.DataFactory.namedNode(term.value);
+    case 'BlankNode':
+      return N3.DataFactory.blankNode(term.value.replace(/^_:/, ''));
+    case 'Literal':
+      return N3.DataFactory.literal(
+        term.value,
+        term.language || N3.DataFactory.namedNode(term.datatype.value)
+      );
+    default:
+      return N3.DataFactory.defaultGraph();
+  }
+}
+
+// Function to convert JSON-LD to RDF quads with jsonld.js (full JSON-LD 1.1:
+// contexts, nested nodes, lists, named graphs and blank nodes)
+// options are passed on to jsonld.toRDF, e.g. a documentLoader for remote contexts
+export async function jsonLdToQuads(jsonLdData, options = {}) {
+  const quads = await jsonld.toRDF(jsonLdData, options);
+  return quads.map(quad => N3.DataFactory.quad(
+    toN3Term(quad.subject),
+    toN3Term(quad.predicate),
+    toN3Term(quad.object),
+    toN3Term(quad.graph)
+  ));
+}
+
+// Serialize quads with an N3 writer in the given format
+function writeQuads(quads, format, prefixes = {}) {
+  const writer = new N3.Writer({ format, prefixes });
+  writer.addQuads(quads);
+
   return new Promise((resolve, reject) => {
     writer.end((error, result) => {
       if (error) reject(error);
@@ -80,10 +61,24 @@ export async function jsonLdToNTriples(jsonLdData) {
   });
 }
 
+// Function to convert JSON-LD to N-Triples
+// Triples of named graphs are merged into the default graph
+export async function jsonLdToNTriples(jsonLdData, options = {}) {
+  const quads = await jsonLdToQuads(jsonLdData, options);
+  const triples = quads.map(quad => N3.DataFactory.quad(quad.subject, quad.predicate, quad.object));
+  return writeQuads(triples, 'N-Triples');
+}
+
+// Function to convert JSON-LD to N-Quads, keeping named graphs
+export async function jsonLdToNQuads(jsonLdData, options = {}) {
+  return writeQuads(await jsonLdToQuads(jsonLdData, options), 'N-Quads');
+}
+
 // Helper function to serialize an array of quads to Turtle string
-export async function quadsToTurtle(quads) {
+// prefixes maps prefix names to IRIs, e.g. the prefixes of the mapping
+export async function quadsToTurtle(quads, prefixes = {}) {
   return new Promise((resolve, reject) => {
-    const writer = new N3.Writer({ format: 'Turtle' });
+    const writer = new N3.Writer({ format: 'Turtle', prefixes });
     writer.addQuads(quads);
     writer.end((error, result) => {
       if (error) reject(error);
@@ -92,100 +87,800 @@ export async function quadsToTurtle(quads) {
   });
 }
 
+// Output formats by name, and the format of each file extension
+export const OUTPUT_FORMATS = ['ntriples', 'turtle', 'nquads', 'trig', 'jsonld'];
+const formatExtensions = {
+  '.nt': 'ntriples',
+  '.ttl': 'turtle',
+  '.nq': 'nquads',
+  '.trig': 'trig',
+  '.jsonld': 'jsonld',
+  '.json': 'jsonld',
+};
+
+// Function to get the output format of a file from its extension
+export function formatForFile(file) {
+  const extension = file.slice(file.lastIndexOf('.')).toLowerCase();
+  const format = formatExtensions[extension];
+  if (!format) {
+    throw new Error(`Cannot tell the output format of ${file}, set one of ${OUTPUT_FORMATS.join(', ')}`);
+  }
+  return format;
+}
+
+// Function to collect the prefixes declared in Turtle or N3 text
+export function getPrefixes(text) {
+  const prefixes = {};
+  new N3.Parser({ format: 'text/n3' }).parse(text, {
+    onPrefix: (prefix, iri) => { prefixes[prefix] = iri.value; },
+  });
+  return prefixes;
+}
+
+// Function to serialize quads in one of the OUTPUT_FORMATS
+// - ntriples, turtle: the triples of all graphs, merged into the default graph
+// - nquads, trig: the quads, keeping their named graphs
+// - jsonld: compacted with options.context (a JSON-LD context, default the prefixes)
+// options.prefixes are used for the Turtle, TriG and default JSON-LD context
+export async function serializeQuads(quads, format = 'ntriples', options = {}) {
+  const { prefixes = {}, context } = options;
+  const triples = () => quads.map(quad => N3.DataFactory.quad(quad.subject, quad.predicate, quad.object));
+
+  switch (format) {
+    case 'ntriples':
+      return writeQuads(triples(), 'N-Triples');
+    case 'turtle':
+      return quadsToTurtle(triples(), prefixes);
+    case 'nquads':
+      return writeQuads(quads, 'N-Quads');
+    case 'trig':
+      return writeQuads(quads, 'TriG', prefixes);
+    case 'jsonld': {
+      const expanded = await jsonld.fromRDF(await writeQuads(quads, 'N-Quads'), {
+        format: 'application/n-quads',
+      });
+      const compacted = await jsonld.compact(expanded, context || prefixes);
+      return JSON.stringify(compacted, null, 2);
+    }
+    default:
+      throw new Error(`Unknown output format '${format}', expected one of ${OUTPUT_FORMATS.join(', ')}`);
+  }
+}
+
+// Function to map input files with a YARRRML mapping, returning N-Triples
+// inputFiles maps the source names used in the mapping to their contents
+export async function runYarrrmlMapping(mappingYARRRML, inputFiles) {
+  // Convert the YARRRML mapping to RML (as an array of quads)
+  logger.info("Converting YARRRML mapping to RML mapping...");
+  const yarrrmlParserInstance = new YarrrmlParser();
+  const rmlMappingQuads = await yarrrmlParserInstance.convert(mappingYARRRML);
+
+  // Serialize the array of quads to a Turtle string
+  const rmlMapping = await quadsToTurtle(rmlMappingQuads);
+  const options = { toRDF: false }; // Output as JSON-LD
+
+  logger.info("Running RML mapping with rmlmapper-js using the converted YARRRML schema...");
+  const jsonLdResult = await parseTurtle(rmlMapping, inputFiles, options);
+
+  // Convert JSON-LD to N-Triples for reasoning and SPARQL querying
+  return jsonLdToNTriples(jsonLdResult);
+}
+
+// Function to validate triples against SHACL shapes
+// Returns whether the data conforms, the validation results and the SHACL
+// validation report in Turtle. options.print (default true) logs a heading
+// and the results as a table.
+export async function runShaclValidation(triples, shapes, options = {}) {
+  const { print = true } = options;
+  if (print) logger.info("\n=== SHACL Validation ===");
+
+  try {
+    const dataStore = new N3.Store(new N3.Parser().parse(triples));
+    const shapesStore = new N3.Store(new N3.Parser().parse(shapes));
+
+    const validator = new SHACLValidator(shapesStore);
+    const report = await validator.validate(dataStore);
+
+    // Readable summary of the results
+    const results = report.results.map(result => ({
+      focusNode: result.focusNode?.value || '',
+      path: result.path?.value || '',
+      severity: result.severity?.value.replace('http://www.w3.org/ns/shacl#', '') || '',
+      message: result.message.map(message => message.value).join('; '),
+      value: result.value?.value || '',
+    }));
+
+    if (!print) {
+      // The caller reports the results
+    } else if (report.conforms) {
+      logger.info("The data conforms to the shapes.");
+    } else {
+      const table = new Table({ head: ['focusNode', 'path', 'severity', 'message'] });
+      results.forEach(result => {
+        table.push([result.focusNode, result.path, result.severity, result.message]);
+      });
+      logger.info(`The data does not conform to the shapes (${results.length} results):`);
+      logger.info(table.toString());
+    }
+
+    const reportTurtle = await quadsToTurtle([...report.dataset]);
+    return { conforms: report.conforms, results, reportTurtle };
+  } catch (error) {
+    logger.error("Error executing SHACL validation:", error);
+    throw error;
+  }
+}
+
+// Rule modules shipped with the project: every .n3 file in rules/, named by
+// its path without extension, e.g. 'priority-classification' or 'axioms/rdfs'
+export const RULES_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), 'rules');
+
+// List the .n3 files in a directory and its subdirectories, sorted by name
+function findRuleFiles(directory) {
+  return fs.readdirSync(directory, { withFileTypes: true })
+    .sort((a, b) => a.name.localeCompare(b.name))
+    .flatMap(entry => {
+      const file = path.join(directory, entry.name);
+      if (entry.isDirectory()) return findRuleFiles(file);
+      return entry.name.endsWith('.n3') ? [file] : [];
+    });
+}
+
+// Name of the rule module in a file, relative to the rules directory
+function ruleModuleName(file, directory) {
+  return path.relative(directory, file).replace(/\.n3$/, '').split(path.sep).join('/');
+}
+
+// Function to list the rule modules in a directory with the first comment of
+// each file as description
+export function listRuleModules(directory = RULES_DIR) {
+  return findRuleFiles(directory).map(file => {
+    const comment = fs.readFileSync(file, 'utf8').match(/^\s*#\s*(.+)$/m);
+    return { name: ruleModuleName(file, directory), file, description: comment ? comment[1].trim() : '' };
+  });
+}
+
+// Function to load N3 rules from files, directories and named modules
+// - modules: module names in directory, a name of a subdirectory loads all its
+//   modules, e.g. 'axioms' for both 'axioms/rdfs' and 'axioms/owl-rl'
+// - files: .n3 files, or directories of them
+// - disable: module names (or directory names) to leave out of the modules and directories
+// Every file is loaded once, in the order given, and returned as one rule string
+export function loadRules({ modules = [], files = [], disable = [], directory = RULES_DIR } = {}) {
+  const available = listRuleModules(directory);
+  const inModule = (name, module) => name === module || name.startsWith(`${module}/`);
+  const isDisabled = file => {
+    const name = path.resolve(file).startsWith(path.resolve(directory) + path.sep)
+      ? ruleModuleName(path.resolve(file), path.resolve(directory))
+      : path.basename(file, '.n3');
+    return disable.some(module => inModule(name, module));
+  };
+
+  const ruleFiles = [];
+  for (const module of modules) {
+    const matches = available.filter(({ name }) => inModule(name, module));
+    if (matches.length === 0) {
+      throw new Error(
+        `Unknown rule module '${module}' in ${directory}, expected one of ${available.map(({ name }) => name).join(', ')}`
+      );
+    }
+    ruleFiles.push(...matches.map(({ file }) => file).filter(file => !isDisabled(file)));
+  }
+  for (const file of files) {
+    if (fs.statSync(file).isDirectory()) {
+      ruleFiles.push(...findRuleFiles(file).filter(ruleFile => !isDisabled(ruleFile)));
+    } else {
+      ruleFiles.push(file);
+    }
+  }
+
+  return [...new Set(ruleFiles.map(file => path.resolve(file)))]
+    .map(file => `# Rules from ${path.basename(file)}\n${fs.readFileSync(file, 'utf8')}`)
+    .join('\n');
+}
+
+// Reasoner modes of runEyeReasoner
+export const REASONER_MODES = ['derivations', 'closure', 'query', 'proof'];
+
+// Run EYE over the data and rules with a proof of the derivations; n3reasoner
+// always asks EYE for no proof (--nope), so the EYE image is queried directly
+async function runEyeProof(triples, rules) {
+  let output = '';
+  const errors = [];
+  const Module = await SwiplEye({
+    print: line => { output += `${line}\n`; },
+    printErr: line => { errors.push(line); },
+  });
+  Module.FS.writeFile('data.n3s', triples);
+  Module.FS.writeFile('rules.n3s', rules);
+  queryOnce(Module, 'main', ['--quiet', 'data.n3s', 'rules.n3s', '--pass-only-new']);
+
+  if (errors.length > 0) {
+    throw new Error(`Error while executing EYE: ${errors.join('\n')}`);
+  }
+  return output;
+}
+
 // Function to run reasoning with EYE reasoner
-export async function runEyeReasoner(triples, rules) {
-  console.log("\n=== Reasoning with EYE Reasoner ===");
+// rules is an N3 rule string, or the { modules, files, disable, directory } of loadRules
+// options.mode decides what the returned N3 Store holds:
+// - derivations (default): only the inferred triples
+// - closure: the full deductive closure, the input triples with the inferred ones
+// - query: what the N3 query (filter) document options.query gives
+// - proof: the EYE proof of the inferred triples, see getProofConclusions and buildProofTree
+// options.inputFile / options.outputFile name debug files of the reasoner input
+// and output, which are only written when given; options.print (default true)
+// logs a heading
+export async function runEyeReasoner(triples, rules, options = {}) {
+  const {
+    mode = 'derivations',
+    query,
+    inputFile = false,
+    outputFile = false,
+    print = true,
+  } = options;
+  if (print) logger.info("\n=== Reasoning with EYE Reasoner ===");
+
+  if (!REASONER_MODES.includes(mode)) {
+    throw new Error(`Unknown reasoner mode '${mode}', expected one of ${REASONER_MODES.join(', ')}`);
+  }
+  if (mode === 'query' && !query) {
+    throw new Error("Reasoner mode 'query' requires an N3 query document");
+  }
   
   try {
+    if (typeof rules !== 'string') {
+      rules = loadRules(rules);
+    }
+
     // Save the input data for debugging
-    fs.writeFileSync('reasoner-input.n3', triples + '\n' + rules, 'utf8');
+    if (inputFile) {
+      fs.writeFileSync(inputFile, triples + '\n' + rules, 'utf8');
+    }
     
-    // Run the reasoner with separate rules and query
-    const reasoningResult = await n3reasoner(triples + '\n' + rules, "");
+    // Run the reasoner with the data and rules as separate documents
+    let reasoningResult;
+    switch (mode) {
+      case 'derivations':
+        reasoningResult = await n3reasoner([triples, rules], undefined, { output: 'derivations' });
+        break;
+      case 'closure':
+        reasoningResult = await n3reasoner([triples, rules], undefined, { output: 'deductive_closure' });
+        break;
+      case 'query':
+        reasoningResult = await n3reasoner([triples, rules], query);
+        break;
+      case 'proof':
+        reasoningResult = await runEyeProof(triples, rules);
+        break;
+    }
     
     // Save the results
-    fs.writeFileSync('reasoning-result.n3', reasoningResult, 'utf8');
-    console.log("Reasoning results saved to reasoning-result.n3");
+    if (outputFile) {
+      fs.writeFileSync(outputFile, reasoningResult, 'utf8');
+      logger.info(`Reasoning results saved to ${outputFile}`);
+    }
     
-    // Parse the results into a store
+    // Parse the results into a store, N3 syntax for the formulas of a proof
     const store = new N3.Store();
-    const parser = new N3.Parser();
+    const parser = new N3.Parser({ format: 'text/n3' });
     const quads = parser.parse(reasoningResult);
     store.addQuads(quads);
-  
     
     return store;
   } catch (error) {
-    console.error("Error executing EYE reasoning:", error);
-    console.log("\nDiagnostic information:");
+    logger.error("Error executing EYE reasoning:", error);
     throw error;
   }
 }
 
-// Function to run SPARQL query with Comunica
-export async function runSparqlQuery(triples,sparqlQuery, reasoning_results, useReasoningResults) {
-  console.log("\n=== Execute SPARQL Query ===");
-  
-  try {
-    // Parse the triples into an N3 Store for Comunica
-    const store = new N3.Store();
-    const parser = new N3.Parser();
-    
-    // Parse the triples
-    const quads = parser.parse(triples);
-    store.addQuads(quads);
+const REASON = 'http://www.w3.org/2000/10/swap/reason#';
+const RDF = 'http://www.w3.org/1999/02/22-rdf-syntax-ns#';
+const XSD = 'http://www.w3.org/2001/XMLSchema#';
+const LOG_IMPLIES = 'http://www.w3.org/2000/10/swap/log#implies';
 
-    // when we want to use the reasoning results
-    if(useReasoningResults){
-    reasoning_results.getQuads(null, null, null, null).forEach(quad => {
-      store.addQuad(quad);
+// Get the single object of a subject and predicate in a store
+function getProofObject(store, subject, predicate) {
+  return store.getObjects(subject, N3.DataFactory.namedNode(predicate), null)[0];
+}
+
+// Get the quads of a formula (a graph of the store)
+function getFormula(store, formula) {
+  return formula ? store.getQuads(null, null, null, formula) : [];
+}
+
+// Get the items of an RDF list
+function getList(store, list) {
+  const items = [];
+  while (list && list.value !== RDF + 'nil') {
+    items.push(getProofObject(store, list, RDF + 'first'));
+    list = getProofObject(store, list, RDF + 'rest');
+  }
+  return items;
+}
+
+// Function to get the triples a proof concludes, in the default graph
+export function getProofConclusions(proofStore) {
+  return proofStore.getSubjects(N3.DataFactory.namedNode(RDF + 'type'), N3.DataFactory.namedNode(REASON + 'Proof'), null)
+    .flatMap(proof => getFormula(proofStore, getProofObject(proofStore, proof, REASON + 'gives')))
+    .map(quad => N3.DataFactory.quad(quad.subject, quad.predicate, quad.object));
+}
+
+// Format a term of a proof, with prefixed names, ?variables and nested { formulas }
+// Universal variables lose their name when parsed, so they are numbered per statement
+function formatProofTerm(store, term, prefixes, position, variables) {
+  switch (term.termType) {
+    case 'NamedNode': {
+      if (position === 'predicate' && term.value === RDF + 'type') return 'a';
+      if (position === 'predicate' && term.value === LOG_IMPLIES) return '=>';
+      const variable = term.value.match(/\/var#(.+)$/);
+      if (variable) return `?${variable[1]}`;
+      const prefix = Object.entries(prefixes).find(([, iri]) =>
+        term.value.startsWith(iri) && /^[\w-]*$/.test(term.value.slice(iri.length)));
+      return prefix ? `${prefix[0]}:${term.value.slice(prefix[1].length)}` : `<${term.value}>`;
+    }
+    case 'Literal':
+      if (term.language) return `"${term.value}"@${term.language}`;
+      if ([XSD + 'integer', XSD + 'decimal', XSD + 'double', XSD + 'boolean'].includes(term.datatype.value)) {
+        return term.value;
+      }
+      if (term.datatype.value === XSD + 'string') return `"${term.value}"`;
+      return `"${term.value}"^^${formatProofTerm(store, term.datatype, prefixes)}`;
+    case 'Variable':
+      if (!variables.has(term.value)) variables.set(term.value, `?x${variables.size}`);
+      return variables.get(term.value);
+    case 'BlankNode': {
+      const formula = getFormula(store, term);
+      return formula.length > 0
+        ? `{ ${formatProofQuads(store, formula, prefixes, variables)} }`
+        : `_:${term.value}`;
+    }
+    default:
+      return term.value;
+  }
+}
+
+// Format the quads of a formula as N3 statements
+function formatProofQuads(store, quads, prefixes, variables = new Map()) {
+  return quads.map(quad => [
+    formatProofTerm(store, quad.subject, prefixes, 'subject', variables),
+    formatProofTerm(store, quad.predicate, prefixes, 'predicate', variables),
+    formatProofTerm(store, quad.object, prefixes, 'object', variables),
+  ].join(' ') + '.').join(' ');
+}
+
+// Read a step (lemma) of a proof, each step once
+function readProofStep(store, lemma, prefixes, steps) {
+  if (steps.has(lemma.id)) return steps.get(lemma.id);
+
+  const type = store.getObjects(lemma, N3.DataFactory.namedNode(RDF + 'type'), null)
+    .map(term => term.value)
+    .find(value => value.startsWith(REASON) && value !== REASON + 'Conjunction');
+  const quads = getFormula(store, getProofObject(store, lemma, REASON + 'gives'));
+  const because = getProofObject(store, lemma, REASON + 'because');
+  const source = because && getProofObject(store, because, REASON + 'source');
+  const step = {
+    type: type ? type.slice(REASON.length) : 'Step',
+    statement: formatProofQuads(store, quads, prefixes),
+    quads,
+    source: source?.value,
+    rule: null,
+    evidence: [],
+  };
+  steps.set(lemma.id, step);
+
+  const rule = getProofObject(store, lemma, REASON + 'rule');
+  if (rule) step.rule = readProofStep(store, rule, prefixes, steps);
+  const evidence = getProofObject(store, lemma, REASON + 'evidence');
+  step.evidence = getList(store, evidence).map(item => readProofStep(store, item, prefixes, steps));
+  return step;
+}
+
+// Function to build the tree of an EYE proof: a step for every inferred fact,
+// with the rule that produced it and the evidence (input triples, builtins
+// and other inferences) that matched the rule
+// Every step is { type, statement, quads, source, rule, evidence }
+export function buildProofTree(proofStore, prefixes = {}) {
+  const steps = new Map();
+  return proofStore.getSubjects(N3.DataFactory.namedNode(RDF + 'type'), N3.DataFactory.namedNode(REASON + 'Proof'), null)
+    .flatMap(proof => proofStore.getObjects(proof, N3.DataFactory.namedNode(REASON + 'component'), null))
+    .map(component => readProofStep(proofStore, component, prefixes, steps));
+}
+
+// Function to render a proof tree as readable console lines, e.g.
+// <http://televic.health.be/calls/0> a tv:HighPriorityCall.
+// ├── rule { ?call a tv:Call. ... } => { ?call a tv:HighPriorityCall. }.  [rules.n3s]
+// ├── <http://televic.health.be/calls/0> a tv:Call.  [data.n3s]
+// └── 3 math:greaterThan 1.  [fact]
+export function formatProofTree(steps) {
+  const lines = [];
+  const label = step => {
+    if (step.type === 'Inference') return '';
+    if (step.source) return `  [${step.source.slice(step.source.lastIndexOf('/') + 1)}]`;
+    return `  [${step.type.toLowerCase()}]`;
+  };
+  const addStep = (step, prefix, childPrefix, isRule = false) => {
+    lines.push(`${prefix}${isRule ? 'rule ' : ''}${step.statement}${label(step)}`);
+    if (isRule) return;
+    const children = [...(step.rule ? [step.rule] : []), ...step.evidence];
+    children.forEach((child, i) => {
+      const last = i === children.length - 1;
+      addStep(child, childPrefix + (last ? '└── ' : '├── '), childPrefix + (last ? '    ' : '│   '), child === step.rule);
     });
+  };
+  steps.forEach(step => addStep(step, '', ''));
+  return lines.join('\n');
+}
+
+const sparqlFunctions = {};
+
+// Function to register a SPARQL extension function under its IRI, replacing any
+// function with that IRI; it gets the argument terms and returns a term
+export function registerSparqlFunction(iri, implementation) {
+  if (typeof implementation !== 'function') {
+    throw new TypeError(`SPARQL function ${iri} must be a JavaScript function`);
   }
-    
-    // Create a new query engine
-    const engine = new QueryEngine();
-    
+  sparqlFunctions[iri] = async args => implementation(args);
+}
 
-    
-    // Execute the query
-    const queryStream = await engine.queryBindings(sparqlQuery, { sources: [store] });
-    
-    // Display the results
-    const bindings = await queryStream.toArray();
-    // console.log(bindings.toString());
-    // console.log("\nSPARQL Query Results:");
-    // console.log("\call                             | source                               | priority ");
-    // console.log("---------------------------------|--------------------------------------|----------");
-    // for (const binding of bindings) {
-    //   const call = binding.get('call').value;
-    //   const source = binding.get('source').value;
-    //   const priority = binding.get('priority').value;
-
-      
-    //   console.log(`${call} | ${source} | ${priority}`);
-    // }
-    if (bindings.length === 0) {
-      console.log("No results.");
-  } else {
-      // Extract variable names dynamically
-      const variables = [...new Set(bindings.flatMap(binding => [...binding.keys()].map(v => v.value)))];
-  
-      // Initialize table with headers
-      const table = new Table({ head: variables });
-  
-      // Add rows to the table
-      bindings.forEach(binding => {
-          const row = variables.map(varName => binding.get(varName)?.value || '');
-          table.push(row);
-      });
-  
-      // Print the table
-      console.log(table.toString());
+// The temporal functions (tfn:) of other/temporal.js
+Object.entries(TEMPORAL_SPARQL_FUNCTIONS).forEach(([iri, implementation]) =>
+  registerSparqlFunction(iri, implementation));
+
+// Function to turn SPARQL bindings into rows of { variable: term }
+export function bindingsToRows(bindings) {
+  return bindings.map(binding => Object.fromEntries([...binding].map(([variable, term]) => [variable.value, term])));
+}
+
+// Function to shorten an IRI with the longest matching prefix, e.g. tv:Call
+export function shortenIri(iri, prefixes = {}) {
+  let shortest = iri;
+  for (const [prefix, namespace] of Object.entries(prefixes)) {
+    const local = iri.startsWith(namespace) ? iri.slice(namespace.length) : null;
+    if (local !== null && /^[\w-]*$/.test(local) && `${prefix}:${local}`.length < shortest.length) {
+      shortest = `${prefix}:${local}`;
+    }
   }
+  return shortest;
+}
+
+// Text of a term in the table view: prefixed IRIs, and literals with their language
+function tableCell(term, prefixes) {
+  if (!term) return '';
+  switch (term.termType) {
+    case 'NamedNode':
+      return shortenIri(term.value, prefixes);
+    case 'BlankNode':
+      return `_:${term.value}`;
+    default:
+      return term.language ? `${term.value}@${term.language}` : term.value;
+  }
+}
+
+// Function to format rows of { variable: term } as a console table
+// options.variables gives the columns (default: every variable in the rows)
+// and options.prefixes shortens the IRIs
+export function formatRows(rows, options = {}) {
+  const { prefixes = {} } = options;
+  if (rows.length === 0) {
+    return "No results.";
+  }
+  const variables = options.variables || [...new Set(rows.flatMap(row => Object.keys(row)))];
+
+  // Initialize table with headers
+  const table = new Table({ head: variables });
+
+  // Add rows to the table
+  rows.forEach(row => {
+    table.push(variables.map(variable => tableCell(row[variable], prefixes)));
+  });
+  return table.toString();
+}
+
+export const SPARQL_RESULT_FORMATS = ['table', 'json', 'xml', 'csv', 'tsv'];
+const resultFormatExtensions = {
+  '.txt': 'table',
+  '.srj': 'json',
+  '.json': 'json',
+  '.srx': 'xml',
+  '.xml': 'xml',
+  '.csv': 'csv',
+  '.tsv': 'tsv',
+};
+
+// Function to get the SPARQL result format of a file from its extension
+export function resultFormatForFile(file) {
+  const format = resultFormatExtensions[file.slice(file.lastIndexOf('.')).toLowerCase()];
+  if (!format) {
+    throw new Error(`Cannot tell the result format of ${file}, set one of ${SPARQL_RESULT_FORMATS.join(', ')}`);
+  }
+  return format;
+}
+
+const XSD_STRING = 'http://www.w3.org/2001/XMLSchema#string';
+const RDF_LANG_STRING = 'http://www.w3.org/1999/02/22-rdf-syntax-ns#langString';
+
+// Whether a literal needs its datatype written out
+const hasDatatype = term => term.datatype && !term.language &&
+  term.datatype.value !== XSD_STRING && term.datatype.value !== RDF_LANG_STRING;
+
+// A term in the SPARQL 1.1 Query Results JSON format
+function jsonTerm(term) {
+  if (term.termType === 'NamedNode') return { type: 'uri', value: term.value };
+  if (term.termType === 'BlankNode') return { type: 'bnode', value: term.value };
+  return {
+    type: 'literal',
+    value: term.value,
+    ...(term.language ? { 'xml:lang': term.language } : {}),
+    ...(hasDatatype(term) ? { datatype: term.datatype.value } : {}),
+  };
+}
+
+const escapeXml = text => text.replace(/[&<>"]/g, character =>
+  ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' })[character]);
+
+// A term in the SPARQL Query Results XML format
+function xmlTerm(term) {
+  if (term.termType === 'NamedNode') return `<uri>${escapeXml(term.value)}</uri>`;
+  if (term.termType === 'BlankNode') return `<bnode>${escapeXml(term.value)}</bnode>`;
+  const attributes = term.language
+    ? ` xml:lang="${escapeXml(term.language)}"`
+    : hasDatatype(term) ? ` datatype="${escapeXml(term.datatype.value)}"` : '';
+  return `<literal${attributes}>${escapeXml(term.value)}</literal>`;
+}
+
+// A value in the SPARQL 1.1 CSV format: only the value, quoted when needed
+function csvTerm(term) {
+  if (!term) return '';
+  const text = term.termType === 'BlankNode' ? `_:${term.value}` : term.value;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// A term in the SPARQL 1.1 TSV format, in Turtle syntax
+function tsvTerm(term) {
+  if (!term) return '';
+  if (term.termType === 'NamedNode') return `<${term.value}>`;
+  if (term.termType === 'BlankNode') return `_:${term.value}`;
+  const escaped = term.value.replace(/[\\"\t\n\r]/g, character =>
+    ({ '\\': '\\\\', '"': '\\"', '\t': '\\t', '\n': '\\n', '\r': '\\r' })[character]);
+  if (term.language) return `"${escaped}"@${term.language}`;
+  return hasDatatype(term) ? `"${escaped}"^^<${term.datatype.value}>` : `"${escaped}"`;
+}
+
+// Function to serialize the result of runSparqlQuery
+// SELECT and ASK results are written as a table (IRIs shortened with
+// options.prefixes) or in the SPARQL 1.1 json, xml, csv or tsv result formats;
+// CONSTRUCT and DESCRIBE results in one of the OUTPUT_FORMATS (default turtle)
+export async function formatQueryResult(result, format, options = {}) {
+  const { prefixes = {} } = options;
+
+  if (result.type === 'quads') {
+    if (!format && result.quads.length === 0) return "No results.";
+    return serializeQuads(result.quads, format || 'turtle', { prefixes });
+  }
+  if (result.type === 'update') {
+    return `Update inserted ${result.inserted.length} and deleted ${result.deleted.length} triples`;
+  }
+
+  format = format || 'table';
+  if (!SPARQL_RESULT_FORMATS.includes(format)) {
+    throw new Error(`Unknown SPARQL result format '${format}', expected one of ${SPARQL_RESULT_FORMATS.join(', ')}`);
+  }
+  if (result.type === 'boolean') {
+    switch (format) {
+      case 'table':
+        return result.boolean ? "Yes (true)" : "No (false)";
+      case 'json':
+        return JSON.stringify({ head: {}, boolean: result.boolean }, null, 2);
+      case 'xml':
+        return '<?xml version="1.0"?>\n<sparql xmlns="http://www.w3.org/2005/sparql-results#">\n' +
+          `  <head/>\n  <boolean>${result.boolean}</boolean>\n</sparql>\n`;
+      default:
+        throw new Error(`ASK results cannot be written as ${format}`);
+    }
+  }
+
+  const rows = bindingsToRows(result.bindings);
+  const variables = result.variables || [...new Set(rows.flatMap(row => Object.keys(row)))];
+  switch (format) {
+    case 'table':
+      return formatRows(rows, { variables, prefixes });
+    case 'json':
+      return JSON.stringify({
+        head: { vars: variables },
+        results: {
+          bindings: rows.map(row => Object.fromEntries(
+            variables.filter(variable => row[variable]).map(variable => [variable, jsonTerm(row[variable])]))),
+        },
+      }, null, 2);
+    case 'xml':
+      return [
+        '<?xml version="1.0"?>',
+        '<sparql xmlns="http://www.w3.org/2005/sparql-results#">',
+        '  <head>',
+        ...variables.map(variable => `    <variable name="${escapeXml(variable)}"/>`),
+        '  </head>',
+        '  <results>',
+        ...rows.flatMap(row => [
+          '    <result>',
+          ...variables.filter(variable => row[variable]).map(variable =>
+            `      <binding name="${escapeXml(variable)}">${xmlTerm(row[variable])}</binding>`),
+          '    </result>',
+        ]),
+        '  </results>',
+        '</sparql>',
+        '',
+      ].join('\n');
+    case 'csv':
+      return [variables.join(','), ...rows.map(row => variables.map(variable => csvTerm(row[variable])).join(','))]
+        .join('\r\n') + '\r\n';
+    default:
+      return [variables.map(variable => `?${variable}`).join('\t'),
+        ...rows.map(row => variables.map(variable => tsvTerm(row[variable])).join('\t'))].join('\n') + '\n';
+  }
+}
+
+// Function to collect the PREFIX declarations of a SPARQL query
+export function getSparqlPrefixes(sparqlQuery) {
+  const prefixes = {};
+  for (const [, prefix, iri] of sparqlQuery.matchAll(/PREFIX\s+([\w-]*):\s*<([^>]*)>/gi)) {
+    prefixes[prefix] = iri;
+  }
+  return prefixes;
+}
+
+// Apply the FROM and FROM NAMED clauses of a query to the store: the default
+// graph becomes the merge of the FROM graphs and the only named graphs are
+// the FROM NAMED graphs. Comunica fails on FROM NAMED with GRAPH ?g, so the
+// query runs without these clauses over a store with just those graphs.
+async function applyDatasetClauses(store, sparqlQuery) {
+  let parsed;
+  try {
+    parsed = new SparqlJs.Parser().parse(sparqlQuery);
+  } catch {
+    // Comunica reports the syntax error
+    return { store, sparqlQuery };
+  }
+  if (parsed.type !== 'query' || !parsed.from) {
+    return { store, sparqlQuery };
+  }
+
+  const dataset = new N3.Store();
+  for (const graph of parsed.from.default) {
+    (await store.getQuads(null, null, null, graph)).forEach(quad =>
+      dataset.addQuad(quad.subject, quad.predicate, quad.object));
+  }
+  for (const graph of parsed.from.named) {
+    dataset.addQuads(await store.getQuads(null, null, null, graph));
+  }
+  delete parsed.from;
+  return { store: dataset, sparqlQuery: new SparqlJs.Generator().stringify(parsed) };
+}
+
+// Function to run a SPARQL query or update with Comunica on an N3 Store (or
+// the persistent quad store), returning the result described for
+// runSparqlQuery (without the store).
+// Updates change the store, unless options.readOnly is set: they then fail with
+// an error with update set. options.writeBack adds CONSTRUCT and DESCRIBE results to the store.
+export async function executeSparql(store, sparqlQuery, options = {}) {
+  const engine = new QueryEngine();
+  const dataset = await applyDatasetClauses(store, sparqlQuery);
+  const query = await engine.query(dataset.sparqlQuery, {
+    sources: [dataset.store],
+    extensionFunctions: sparqlFunctions,
+  });
+
+  if (query.resultType === 'bindings') {
+    const bindings = await (await query.execute()).toArray();
+    const { variables } = await query.metadata();
+    return { type: 'bindings', bindings, variables: variables.map(variable => variable.value) };
+  }
+  if (query.resultType === 'quads') {
+    const quads = await (await query.execute()).toArray();
+    if (options.writeBack) await store.addQuads(quads);
+    return { type: 'quads', quads };
+  }
+  if (query.resultType === 'boolean') {
+    return { type: 'boolean', boolean: await query.execute() };
+  }
+
+  if (options.readOnly) {
+    const error = new Error('SPARQL updates are not allowed');
+    error.update = true;
+    throw error;
+  }
+  // An update: the persistent quad store records its changes, an N3 Store is
+  // compared before and after
+  if (store.recordChanges) {
+    const changes = store.recordChanges();
+    try {
+      await query.execute();
+    } finally {
+      changes.stop();
+    }
+    return { type: 'update', inserted: changes.inserted, deleted: changes.deleted };
+  }
+  const before = new N3.Store(store.getQuads(null, null, null, null));
+  await query.execute();
+  return {
+    type: 'update',
+    inserted: store.getQuads(null, null, null, null).filter(quad => !before.has(quad)),
+    deleted: before.getQuads(null, null, null, null).filter(quad => !store.has(quad)),
+  };
+}
+
+// Named graphs of what was recorded (the mapped triples) and of what the rules concluded
+export const ASSERTED_GRAPH = 'urn:graph:asserted';
+export const INFERRED_GRAPH = 'urn:graph:inferred';
+
+// Function to build the dataset of the asserted and inferred quads in an N3 Store
+// The asserted quads go to <urn:graph:asserted> and, when they have one (such
+// as the graph of their source, <urn:graph:source:calls.csv>), to their own
+// named graph as well; the inferred quads go to <urn:graph:inferred>.
+// options.defaultGraph decides what the default graph holds: 'merged'
+// (default, the asserted and inferred triples), 'asserted' or false (nothing).
+// Asserted quads read back from a dataset keep their graph, so the quads in
+// <urn:graph:inferred> count as inferred.
+export function buildDataset(asserted = [], inferred = [], options = {}) {
+  const { defaultGraph = 'merged' } = options;
+  const { quad, namedNode } = N3.DataFactory;
+  const store = new N3.Store();
+  const isInferred = item => item.graph.value === INFERRED_GRAPH;
+  inferred = [...inferred, ...asserted.filter(isInferred)];
+  asserted = asserted.filter(item => !isInferred(item));
+  const addTo = (quads, graph) => quads.forEach(item =>
+    store.addQuad(quad(item.subject, item.predicate, item.object, graph)));
+
+  addTo(asserted, namedNode(ASSERTED_GRAPH));
+  store.addQuads(asserted.filter(item => item.graph.termType !== 'DefaultGraph'));
+  addTo(inferred, namedNode(INFERRED_GRAPH));
+  if (defaultGraph) addTo(asserted, N3.DataFactory.defaultGraph());
+  if (defaultGraph === 'merged') addTo(inferred, N3.DataFactory.defaultGraph());
+  return store;
+}
+
+// Function to run SPARQL query with Comunica
+// The query runs over the dataset of the triples (N-Triples, or N-Quads/TriG
+// with named graphs) and the reasoning results, see buildDataset, or over
+// triples that are already a store, such as the persistent quad store: the
+// default graph holds the triples, plus the reasoning results when
+// useReasoningResults is set, and GRAPH <urn:graph:asserted> and GRAPH
+// <urn:graph:inferred> tell them apart. The query form decides the result:
+// - SELECT: { type: 'bindings', bindings, variables }
+// - CONSTRUCT and DESCRIBE: { type: 'quads', quads }
+// - ASK: { type: 'boolean', boolean }
+// - INSERT/DELETE updates: { type: 'update', inserted, deleted }, which change the dataset
+// Every result also has the dataset as store. options.print (default true) prints
+// the results in options.format (see formatQueryResult), shortening IRIs with
+// options.prefixes and the prefixes of the query; options.writeBack adds
+// CONSTRUCT and DESCRIBE results to the store, options.readOnly refuses updates.
+export async function runSparqlQuery(triples,sparqlQuery, reasoning_results, useReasoningResults, options = {}) {
+  const { print = true, writeBack = false, readOnly = false, format } = options;
+  const prefixes = { ...options.prefixes, ...getSparqlPrefixes(sparqlQuery) };
+  // Only the table view has a heading, so other formats can be piped
+  if (print && (!format || format === 'table')) logger.info("\n=== Execute SPARQL Query ===");
+  
+  try {
+    let store = triples;
+    if (typeof triples === 'string') {
+      // Parse the triples, keeping their named graphs
+      const parser = new N3.Parser();
+      const quads = parser.parse(triples);
+
+      // The reasoning results are in their own graph, and in the default graph when we want to use them
+      const inferred = reasoning_results ? reasoning_results.getQuads(null, null, null, null) : [];
+      store = buildDataset(quads, inferred, { defaultGraph: useReasoningResults ? 'merged' : 'asserted' });
+    }
     
-    return { bindings };
+    const result = await executeSparql(store, sparqlQuery, { writeBack, readOnly });
+
+    if (print) {
+      const text = await formatQueryResult(result, format, { prefixes });
+      process.stdout.write(text.endsWith('\n') ? text : `${text}\n`);
+    }
+    return { ...result, store };
   } catch (error) {
-    console.error("Error executing SPARQL query:", error);
+    logger.error("Error executing SPARQL query:", error);
     throw error;
   }
-}
\ No newline at end of file
+}
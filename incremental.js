@@ -0,0 +1,202 @@
+// incremental.js
+// Incremental mapping and reasoning for sources that change between runs,
+// e.g. new lines appended to calls.csv. The rows mapped in the last run, their
+// triples and the inferred triples are kept in a state file; a new run only
+// maps the rows that were added or changed, adds their triples and what
+// follows from them, and retracts the triples (and inferences) of the rows
+// that were deleted or changed. Rules are run with the JavaScript forward
+// chainer, which can retract inferences (delete and rederive); another
+// reasoner reasons over all mapped triples again.
+import fs from 'fs';
+import { createHash } from 'crypto';
+import * as N3 from 'n3';
+import { convertYarmlToRML, doMappingRows } from './other/rdf-processor.js';
+import { parseRules, forwardChain, retract } from './other/forward-chainer.js';
+import { runReasoner } from './reasoners.js';
+import { logger } from './logger.js';
+
+const { blankNode, quad } = N3.DataFactory;
+
+const STATE_VERSION = 1;
+
+function sha1(text) {
+  return createHash('sha1').update(text).digest('hex');
+}
+
+// N-Triples line of a quad, the key of a triple in the state file
+const writer = new N3.Writer({ format: 'N-Triples' });
+function tripleKey(item) {
+  return writer.quadToString(item.subject, item.predicate, item.object).trim();
+}
+
+// Parse triple keys back into quads, keeping the blank node labels
+function parseTriples(keys) {
+  return new N3.Parser({ format: 'N-Triples', blankNodePrefix: '' }).parse(keys.join('\n'));
+}
+
+// The triples of a row without graphs, with blank nodes labelled after the
+// row so they are the same in every run
+function rowTriples(triplesMap, key, quads) {
+  const labels = new Map();
+  const term = item => {
+    if (item.termType !== 'BlankNode') return item;
+    if (!labels.has(item.value)) {
+      labels.set(item.value, blankNode(`r${sha1(`${triplesMap} ${key} ${labels.size}`).slice(0, 16)}`));
+    }
+    return labels.get(item.value);
+  };
+  return [...new Set(quads.map(item =>
+    tripleKey(quad(term(item.subject), item.predicate, term(item.object)))))];
+}
+
+// Function to read the state of an earlier run, or null when there is none
+export function readIncrementalState(stateFile) {
+  if (!stateFile || !fs.existsSync(stateFile)) return null;
+  const state = JSON.parse(fs.readFileSync(stateFile, 'utf8'));
+  return state.version === STATE_VERSION ? state : null;
+}
+
+// The TriplesMaps that join a parent whose rows were added or removed: the
+// objects of all their rows may have changed
+function staleChildren(joins, mappedRows, previousRows) {
+  const changed = parent => {
+    const keys = mappedRows[parent].map(({ key }) => key);
+    const previous = Object.keys(previousRows[parent] || {});
+    return keys.length !== previous.length || keys.some(key => !previousRows[parent]?.[key]);
+  };
+  return new Set(Object.keys(joins).filter(triplesMap => joins[triplesMap].some(changed)));
+}
+
+// Count how many rows generate each triple, so a triple is only removed with its last row
+function countTriples(rows) {
+  const counts = new Map();
+  for (const keys of Object.values(rows)) {
+    for (const triples of Object.values(keys)) {
+      triples.forEach(triple => counts.set(triple, (counts.get(triple) || 0) + 1));
+    }
+  }
+  return counts;
+}
+
+// Function to update the mapped and inferred triples with the changes of the sources
+// inputFiles maps source names to their content, as for doMappingWithReport;
+// rules is an N3 rule string. options.state is the state file of the last
+// run, which is read and then updated; without it, or when the mapping, the
+// rules or the reasoner changed since, everything is mapped and reasoned again.
+// A row that joins the rows of a parent is mapped again when these change.
+// options.reasoner is 'js' (default), which only reasons over what changed,
+// or another reasoner of reasoners.js, which reasons over all mapped triples.
+// Returns { asserted, inferred } N3 Stores, the mapping report and
+// { full, rows, triples, inferences } counts of what was { added, removed }.
+export async function runIncrementalUpdate(mappingYARRRML, inputFiles, rules, options = {}) {
+  const { state: stateFile, policy, reasoner = 'js' } = options;
+  logger.info("\n=== Incremental update ===");
+
+  try {
+    const rmlMapping = await convertYarmlToRML(mappingYARRRML);
+    const fingerprint = sha1(`${reasoner}\n${rmlMapping}\n${rules}`);
+    const previous = readIncrementalState(stateFile);
+    const full = !previous || previous.fingerprint !== fingerprint;
+    const previousRows = full ? {} : previous.rows;
+
+    // Map the rows that were not mapped before; a changed row has a new key
+    let { rows: mappedRows, report, joins } = await doMappingRows(rmlMapping, inputFiles, {
+      policy,
+      include: (triplesMap, key) => !previousRows[triplesMap]?.[key],
+    });
+    // The rows that join a changed parent are mapped again, all of them
+    const stale = full ? new Set() : staleChildren(joins, mappedRows, previousRows);
+    if (stale.size > 0) {
+      ({ rows: mappedRows, report } = await doMappingRows(rmlMapping, inputFiles, {
+        policy,
+        include: (triplesMap, key) => stale.has(triplesMap) || !previousRows[triplesMap]?.[key],
+      }));
+    }
+
+    const rows = {};
+    const changes = { full, rows: { added: 0, removed: 0 }, triples: {}, inferences: {} };
+    for (const [triplesMap, mapped] of Object.entries(mappedRows)) {
+      rows[triplesMap] = {};
+      for (const { key, quads } of mapped) {
+        if (quads) {
+          rows[triplesMap][key] = rowTriples(triplesMap, key, quads);
+          if (!previousRows[triplesMap]?.[key]) changes.rows.added++;
+        } else {
+          rows[triplesMap][key] = previousRows[triplesMap][key];
+        }
+      }
+    }
+    for (const [triplesMap, keys] of Object.entries(previousRows)) {
+      changes.rows.removed += Object.keys(keys).filter(key => !rows[triplesMap]?.[key]).length;
+    }
+
+    const previousCounts = countTriples(previousRows);
+    const counts = countTriples(rows);
+    const added = parseTriples([...counts.keys()].filter(triple => !previousCounts.has(triple)));
+    const removed = parseTriples([...previousCounts.keys()].filter(triple => !counts.has(triple)));
+    changes.triples = { added: added.length, removed: removed.length };
+
+    const { rules: parsedRules, facts } = parseRules(rules);
+    const factKeys = new Set(facts.map(tripleKey));
+    const store = new N3.Store(facts);
+    const previousInferred = new Set(full ? [] : previous.inferred);
+
+    if (reasoner !== 'js') {
+      // Only the JavaScript reasoner can retract inferences
+      const ntriples = [...counts.keys()].join('\n');
+      store.addQuads(parseTriples([...counts.keys()]));
+      store.addQuads((await runReasoner(reasoner, ntriples, rules)).getQuads(null, null, null, null));
+    } else if (full) {
+      store.addQuads(parseTriples([...counts.keys()]));
+      forwardChain(store, parsedRules);
+    } else {
+      store.addQuads(parseTriples([...previousCounts.keys(), ...previousInferred]));
+      // Triples of removed rows go with what was inferred from them, unless it still follows
+      retract(store, parsedRules, removed.filter(item => !factKeys.has(tripleKey(item))), {
+        isAsserted: item => counts.has(tripleKey(item)) || factKeys.has(tripleKey(item)),
+      });
+      // Triples that were inferred before already have their consequences
+      const delta = added.filter(item => !store.has(item));
+      store.addQuads(delta);
+      forwardChain(store, parsedRules, { delta });
+    }
+
+    const inferred = store.getQuads(null, null, null, null).filter(item => {
+      const key = tripleKey(item);
+      return !counts.has(key) && !factKeys.has(key);
+    });
+    const inferredKeys = inferred.map(tripleKey);
+    const inferredSet = new Set(inferredKeys);
+    changes.inferences = {
+      added: inferredKeys.filter(key => !previousInferred.has(key)).length,
+      removed: [...previousInferred].filter(key => !inferredSet.has(key)).length,
+    };
+
+    if (stateFile) {
+      const state = { version: STATE_VERSION, fingerprint, rows, inferred: inferredKeys.sort() };
+      fs.writeFileSync(stateFile, JSON.stringify(state), 'utf8');
+      logger.info(`Incremental state saved to ${stateFile}`);
+    }
+
+    return {
+      asserted: new N3.Store(parseTriples([...counts.keys()])),
+      inferred: new N3.Store(inferred),
+      report,
+      changes,
+    };
+  } catch (error) {
+    logger.error("Error updating incrementally:", error);
+    throw error;
+  }
+}
+
+// Function to describe the changes of an incremental update for the console
+export function formatIncrementalChanges(changes) {
+  const count = ({ added, removed }) => `+${added} -${removed}`;
+  return [
+    changes.full ? 'Full update (no state, or the mapping or rules changed)' : 'Incremental update',
+    `  rows:       ${count(changes.rows)}`,
+    `  triples:    ${count(changes.triples)}`,
+    `  inferences: ${count(changes.inferences)}`,
+  ].join('\n');
+}
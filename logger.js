@@ -0,0 +1,61 @@
+// logger.js
+// Logging with levels for every module of the pipeline. In the text format the
+// messages look as they always did on the console; in the JSON format every
+// message is one JSON line with its time, level and fields, for log
+// collectors. Every level goes to stderr, so stdout only has the output of a
+// command, such as query results, and can be piped.
+// KG_LOG_LEVEL and KG_LOG_FORMAT set the defaults, configureLogger (or the
+// --log-level and --log-format options of kg) changes them.
+
+export const LOG_LEVELS = ['error', 'warn', 'info', 'debug'];
+export const LOG_FORMATS = ['text', 'json'];
+
+const settings = {
+  level: process.env.KG_LOG_LEVEL || 'info',
+  format: process.env.KG_LOG_FORMAT || 'text',
+};
+
+// Function to set the level (error, warn, info or debug) and the format (text
+// or json) of the log
+export function configureLogger(options = {}) {
+  const { level = settings.level, format = settings.format } = options;
+  if (!LOG_LEVELS.includes(level)) {
+    throw new Error(`Unknown log level '${level}', expected one of ${LOG_LEVELS.join(', ')}`);
+  }
+  if (!LOG_FORMATS.includes(format)) {
+    throw new Error(`Unknown log format '${format}', expected one of ${LOG_FORMATS.join(', ')}`);
+  }
+  Object.assign(settings, { level, format });
+}
+
+// Fields of a JSON log line; an error keeps its message and stack, any other
+// value that is not an object of fields is kept as details
+function jsonFields(details) {
+  if (details instanceof Error) {
+    return { error: { message: details.message, stack: details.stack } };
+  }
+  if (details === undefined || details === null) return {};
+  return typeof details === 'object' ? details : { details };
+}
+
+function log(level, message, details) {
+  if (LOG_LEVELS.indexOf(level) > LOG_LEVELS.indexOf(settings.level)) return;
+  if (settings.format === 'json') {
+    const record = { time: new Date().toISOString(), level, message: message.trim(), ...jsonFields(details) };
+    process.stderr.write(`${JSON.stringify(record)}\n`);
+  } else if (details instanceof Error || (details != null && typeof details !== 'object')) {
+    // An error is printed with its stack, as console.error does
+    console.error(message, details);
+  } else {
+    process.stderr.write(`${message}\n`);
+  }
+}
+
+// The logger: logger.info(message, fields) etc. The fields (or an Error) are
+// part of a JSON line; the text format only prints errors along with the message.
+export const logger = {
+  error: (message, details) => log('error', message, details),
+  warn: (message, details) => log('warn', message, details),
+  info: (message, details) => log('info', message, details),
+  debug: (message, details) => log('debug', message, details),
+};
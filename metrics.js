@@ -0,0 +1,124 @@
+// metrics.js
+// Per-stage metrics of a pipeline run: the duration of every stage with what
+// it read and produced (rows read, triples generated, triples inferred, query
+// results). Every stage logs them when it ends; withRunSummary collects them
+// in a run summary file, to compare runs across datasets and spot regressions.
+import fs from 'fs';
+import { logger } from './logger.js';
+
+// Number of triples in N-Triples, one per line
+export function countTriples(ntriples = '') {
+  let count = 0;
+  for (const line of ntriples.split('\n')) {
+    const trimmed = line.trim();
+    if (trimmed && !trimmed.startsWith('#')) count++;
+  }
+  return count;
+}
+
+// What each stage produced, from its result
+const stageMeasures = {
+  map: result => ({
+    ...(result.report && { rows: result.report.summary.rows, rowsWithIssues: result.report.summary.rowsWithIssues }),
+    ...(result.triples !== undefined && { triples: countTriples(result.triples) }),
+  }),
+  validate: result => ({
+    conforms: result.conforms,
+    results: result.results.length,
+    violations: result.results.filter(item => item.severity === 'Violation').length,
+  }),
+  reason: store => ({ inferred: store.size }),
+  query: result => {
+    switch (result.type) {
+      case 'bindings':
+        return { results: result.bindings.length };
+      case 'quads':
+        return { results: result.quads.length };
+      case 'boolean':
+        return { results: 1, boolean: result.boolean };
+      case 'update':
+        return { inserted: result.inserted.length, deleted: result.deleted.length };
+      default:
+        return {};
+    }
+  },
+  dataset: store => ({ quads: store.size }),
+  update: ({ changes }) => ({
+    rowsAdded: changes.rows.added,
+    rowsRemoved: changes.rows.removed,
+    triplesAdded: changes.triples.added,
+    triplesRemoved: changes.triples.removed,
+    inferredAdded: changes.inferences.added,
+    inferredRemoved: changes.inferences.removed,
+  }),
+};
+
+// Function to measure the result of a stage (map, validate, reason, query,
+// dataset or update)
+export function stageMetrics(stage, result) {
+  return result && stageMeasures[stage] ? stageMeasures[stage](result) : {};
+}
+
+// The run summary that the stages are recorded in, while withRunSummary runs
+let current = null;
+
+// Function to run a stage, logging its duration and metrics and recording them
+// in the run summary; a failed stage is recorded with its error
+export async function measureStage(stage, run) {
+  const started = Date.now();
+  try {
+    const result = await run();
+    const entry = { stage, duration: Date.now() - started, ...stageMetrics(stage, result) };
+    current?.stages.push(entry);
+    const counts = Object.entries(entry)
+      .filter(([key, value]) => key !== 'stage' && key !== 'duration' && typeof value === 'number')
+      .map(([key, value]) => `${value} ${key}`);
+    logger.info(`Stage ${stage} finished in ${entry.duration}ms${counts.length ? `: ${counts.join(', ')}` : ''}`, entry);
+    return result;
+  } catch (error) {
+    current?.stages.push({ stage, duration: Date.now() - started, error: error.message });
+    throw error;
+  }
+}
+
+// The sources of the mapping with their size, to tell the datasets of runs apart
+function describeSources(pipeline) {
+  return Object.fromEntries(Object.entries(pipeline.mapping?.sources || {}).map(([name, file]) => [
+    name,
+    { file, bytes: fs.existsSync(file) ? fs.statSync(file).size : null },
+  ]));
+}
+
+// Function to run (a part of) a pipeline while collecting the metrics of its
+// stages, writing the run summary to pipeline.metrics.output when it is set,
+// also when the run fails. Returns the result of run.
+export async function withRunSummary(pipeline, run) {
+  if (current || !pipeline.metrics?.output) return run();
+
+  const summary = {
+    startedAt: new Date().toISOString(),
+    endedAt: null,
+    duration: null,
+    status: 'running',
+    sources: describeSources(pipeline),
+    stages: [],
+  };
+  current = summary;
+  const started = Date.now();
+  try {
+    const result = await run();
+    summary.status = 'completed';
+    return result;
+  } catch (error) {
+    summary.status = 'failed';
+    summary.error = error.message;
+    throw error;
+  } finally {
+    current = null;
+    summary.endedAt = new Date().toISOString();
+    summary.duration = Date.now() - started;
+    summary.peakMemory = process.resourceUsage().maxRSS * 1024;
+    fs.writeFileSync(pipeline.metrics.output, `${JSON.stringify(summary, null, 2)}\n`, 'utf8');
+    logger.info(`Run summary saved to ${pipeline.metrics.output}`);
+  }
+}
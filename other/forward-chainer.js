@@ -0,0 +1,448 @@
+// forward-chainer.js
+// Pure JavaScript forward-chaining reasoner for simple N3 rules, for when the
+// EYE (WASM/Prolog) build is too heavy. It supports rules of the form
+// { premise } => { conclusion }. with ?variables, blank nodes in the premise as
+// variables and in the conclusion as new (existential) nodes, facts in the rule
+// files and the math:, time:, log: and string: builtins listed below, with
+// lists as the subjects of builtins such as (?a ?b) math:difference ?c.
+// Backward rules (<=), other lists and nested formulas are not supported.
+import fs from 'fs';
+import { createHash } from 'crypto';
+import * as N3 from 'n3';
+import { parseDateTime, toSeconds } from './temporal.js';
+import { logger } from '../logger.js';
+
+const { namedNode, literal, blankNode, defaultGraph, quad } = N3.DataFactory;
+
+const LOG = 'http://www.w3.org/2000/10/swap/log#';
+const MATH = 'http://www.w3.org/2000/10/swap/math#';
+const STRING = 'http://www.w3.org/2000/10/swap/string#';
+const TIME = 'http://www.w3.org/2000/10/swap/time#';
+const RDF = 'http://www.w3.org/1999/02/22-rdf-syntax-ns#';
+const XSD_DATE_TIME = 'http://www.w3.org/2001/XMLSchema#dateTime';
+const LOG_IMPLIES = LOG + 'implies';
+const LOG_IMPLIED_BY = LOG + 'isImpliedBy';
+
+export const FORWARD_CHAINER_MODES = ['derivations', 'closure', 'query'];
+
+// Numeric value of a literal, NaN for other terms; an xsd:dateTime counts as
+// its seconds since the epoch, as in EYE, so dates compare and subtract
+function toNumber(term) {
+  if (term.termType !== 'Literal') return NaN;
+  return term.datatype?.value === XSD_DATE_TIME ? toSeconds(term.value) : Number(term.value);
+}
+
+// A number as a literal, undefined (no match) when it is not finite
+const numberLiteral = number => (Number.isFinite(number) ? literal(number) : undefined);
+
+// Numbers of a list subject, undefined when it is not a list of numbers
+function toNumbers(list, length) {
+  if (!Array.isArray(list) || (length && list.length !== length)) return undefined;
+  const numbers = list.map(toNumber);
+  return numbers.some(Number.isNaN) ? undefined : numbers;
+}
+
+// A field of an xsd:dateTime subject, as written
+const dateTimeField = field => s => {
+  const parsed = parseDateTime(s);
+  return parsed ? literal(parsed[field]) : undefined;
+};
+
+/**
+ * Builtins that test a bound subject and object
+ */
+const tests = {
+  [MATH + 'greaterThan']: (s, o) => toNumber(s) > toNumber(o),
+  [MATH + 'lessThan']: (s, o) => toNumber(s) < toNumber(o),
+  [MATH + 'notGreaterThan']: (s, o) => toNumber(s) <= toNumber(o),
+  [MATH + 'notLessThan']: (s, o) => toNumber(s) >= toNumber(o),
+  [MATH + 'equalTo']: (s, o) => toNumber(s) === toNumber(o),
+  [MATH + 'notEqualTo']: (s, o) => toNumber(s) !== toNumber(o),
+  [LOG + 'equalTo']: (s, o) => s.equals(o),
+  [LOG + 'notEqualTo']: (s, o) => !s.equals(o),
+  [STRING + 'equalIgnoringCase']: (s, o) => s.value.toLowerCase() === o.value.toLowerCase(),
+  [STRING + 'contains']: (s, o) => s.value.includes(o.value),
+  [STRING + 'startsWith']: (s, o) => s.value.startsWith(o.value),
+  [STRING + 'endsWith']: (s, o) => s.value.endsWith(o.value),
+  [STRING + 'matches']: (s, o) => new RegExp(o.value).test(s.value),
+};
+
+/**
+ * Builtins that compute their object from a bound subject, which is an array
+ * for a list; undefined means no match
+ */
+const functions = {
+  [LOG + 'rawType']: s => namedNode(LOG + (s.termType === 'Literal' ? 'Literal' : 'Other')),
+  [STRING + 'lowerCase']: s => literal(s.value.toLowerCase()),
+  [STRING + 'upperCase']: s => literal(s.value.toUpperCase()),
+  [MATH + 'sum']: s => numberLiteral(toNumbers(s)?.reduce((a, b) => a + b, 0)),
+  [MATH + 'product']: s => numberLiteral(toNumbers(s)?.reduce((a, b) => a * b, 1)),
+  [MATH + 'difference']: s => numberLiteral(toNumbers(s, 2)?.reduce((a, b) => a - b)),
+  [MATH + 'quotient']: s => numberLiteral(toNumbers(s, 2)?.reduce((a, b) => a / b)),
+  [MATH + 'integerQuotient']: s => numberLiteral(toNumbers(s, 2)?.reduce((a, b) => Math.trunc(a / b))),
+  [MATH + 'remainder']: s => numberLiteral(toNumbers(s, 2)?.reduce((a, b) => a % b)),
+  [MATH + 'absoluteValue']: s => numberLiteral(Math.abs(toNumber(s))),
+  [MATH + 'negation']: s => numberLiteral(-toNumber(s)),
+  [MATH + 'rounded']: s => numberLiteral(Math.round(toNumber(s))),
+  [TIME + 'inSeconds']: s => numberLiteral(toSeconds(s)),
+  [TIME + 'year']: dateTimeField('year'),
+  [TIME + 'month']: dateTimeField('month'),
+  [TIME + 'day']: dateTimeField('day'),
+  [TIME + 'hour']: dateTimeField('hour'),
+  [TIME + 'minute']: dateTimeField('minute'),
+  [TIME + 'second']: dateTimeField('second'),
+};
+
+const isBuiltin = predicate => predicate.value in tests || predicate.value in functions;
+
+// Premise variables: ?variables and blank nodes
+const isVariable = term => term.termType === 'Variable' || term.termType === 'BlankNode';
+const variableKey = term => `${term.termType}:${term.value}`;
+
+/**
+ * The value of a term under a binding, undefined for an unbound variable; a
+ * list resolves to an array of its values
+ */
+function resolve(term, binding) {
+  if (term.termType === 'List') {
+    const items = term.items.map(item => resolve(item, binding));
+    return items.some(item => item === undefined) ? undefined : items;
+  }
+  return isVariable(term) ? binding[variableKey(term)] : term;
+}
+
+/**
+ * Bind a pattern term to a data term, returning false when they conflict
+ */
+function unify(term, value, binding) {
+  if (!isVariable(term)) return term.equals(value);
+  const bound = binding[variableKey(term)];
+  if (bound) return bound.equals(value);
+  binding[variableKey(term)] = value;
+  return true;
+}
+
+/**
+ * Replace the rdf:first/rdf:rest chains of the lists in a premise by list
+ * terms { termType: 'List', items }
+ */
+function withLists(patterns) {
+  const first = new Map();
+  const rest = new Map();
+  for (const { subject, predicate, object } of patterns) {
+    if (subject.termType !== 'BlankNode') continue;
+    if (predicate.value === RDF + 'first') first.set(subject.value, object);
+    if (predicate.value === RDF + 'rest') rest.set(subject.value, object);
+  }
+  const list = node => {
+    const items = [];
+    for (let item = node; item.value !== RDF + 'nil'; item = rest.get(item.value)) {
+      if (!first.has(item.value) || !rest.has(item.value)) {
+        throw new Error('Unsupported list in a rule premise');
+      }
+      items.push(first.get(item.value));
+    }
+    return { termType: 'List', value: node.value, items };
+  };
+  const term = item => (item.termType === 'BlankNode' && first.has(item.value) ? list(item) : item);
+
+  return patterns
+    .filter(({ subject, predicate }) => !(first.has(subject.value) &&
+      (predicate.value === RDF + 'first' || predicate.value === RDF + 'rest')))
+    .map(pattern => quad(term(pattern.subject), pattern.predicate, term(pattern.object), pattern.graph));
+}
+
+/**
+ * Parse N3 rules into { rules, facts, prefixes }; every rule has its
+ * premise patterns, builtins and conclusion
+ */
+export function parseRules(text) {
+  const prefixes = {};
+  const quads = new N3.Parser({ format: 'text/n3' }).parse(text, {
+    onPrefix: (prefix, iri) => { prefixes[prefix] = iri.value; },
+  });
+  const formulas = new Map();
+  for (const item of quads) {
+    if (item.graph.termType === 'DefaultGraph') continue;
+    if (!formulas.has(item.graph.value)) formulas.set(item.graph.value, []);
+    formulas.get(item.graph.value).push(item);
+  }
+  const formula = term => {
+    if (term.termType === 'Literal' && term.value === 'true') return [];
+    if (term.termType !== 'BlankNode') {
+      throw new Error(`Unsupported rule part ${term.value}, expected a { formula }`);
+    }
+    return formulas.get(term.value) || [];
+  };
+
+  const rules = [];
+  const facts = [];
+  for (const item of quads) {
+    if (item.graph.termType !== 'DefaultGraph') continue;
+    if (item.predicate.value === LOG_IMPLIED_BY) {
+      throw new Error('Backward rules (<=) are not supported by the JavaScript reasoner');
+    }
+    if (item.predicate.value !== LOG_IMPLIES) {
+      facts.push(item);
+      continue;
+    }
+
+    const premise = withLists(formula(item.subject));
+    for (const pattern of [...premise, ...formula(item.object)]) {
+      if ([pattern.subject, pattern.object].some(term => formulas.has(term.value))) {
+        throw new Error('Nested formulas are not supported by the JavaScript reasoner');
+      }
+      if (pattern.object.termType === 'List' ||
+        (pattern.subject.termType === 'List' && !isBuiltin(pattern.predicate))) {
+        throw new Error('Lists are only supported as the subject of builtins by the JavaScript reasoner');
+      }
+    }
+    rules.push({
+      id: rules.length,
+      patterns: premise.filter(pattern => !isBuiltin(pattern.predicate)),
+      builtins: premise.filter(pattern => isBuiltin(pattern.predicate)),
+      conclusion: formula(item.object),
+    });
+  }
+
+  return { rules, facts, prefixes };
+}
+
+/**
+ * Extend a binding with every match of a pattern in a store
+ */
+function matchPattern(pattern, store, binding) {
+  const [s, p, o] = [pattern.subject, pattern.predicate, pattern.object].map(term => resolve(term, binding));
+  return store.getQuads(s || null, p || null, o || null, defaultGraph()).flatMap(match => {
+    const next = { ...binding };
+    const unified = unify(pattern.subject, match.subject, next) &&
+      unify(pattern.predicate, match.predicate, next) &&
+      unify(pattern.object, match.object, next);
+    return unified ? [next] : [];
+  });
+}
+
+/**
+ * Evaluate the builtins of a rule for a binding of its patterns
+ */
+function evaluateBuiltins(builtins, binding) {
+  const next = { ...binding };
+  for (const builtin of builtins) {
+    const subject = resolve(builtin.subject, next);
+    if (!subject) {
+      throw new Error(`Unbound subject of builtin ${builtin.predicate.value}`);
+    }
+    if (builtin.predicate.value in functions) {
+      const value = functions[builtin.predicate.value](subject);
+      if (!value || !unify(builtin.object, value, next)) return null;
+      continue;
+    }
+    const object = resolve(builtin.object, next);
+    if (!object) {
+      throw new Error(`Unbound object of builtin ${builtin.predicate.value}`);
+    }
+    if (!tests[builtin.predicate.value](subject, object)) return null;
+  }
+  return next;
+}
+
+/**
+ * All bindings of a rule premise, extending an initial binding. With a delta
+ * store, at least one pattern must match a quad of the delta (semi-naive
+ * evaluation), so a rule without patterns (only builtins, or `true`) only
+ * fires without delta.
+ */
+function matchRule(rule, store, delta, binding = {}) {
+  const bindings = [];
+  const starts = delta ? rule.patterns.map((_, i) => i) : [-1];
+
+  for (const start of starts) {
+    let partial = [binding];
+    if (start >= 0) {
+      partial = matchPattern(rule.patterns[start], delta, binding);
+    }
+    rule.patterns.forEach((pattern, i) => {
+      if (i === start) return;
+      partial = partial.flatMap(binding => matchPattern(pattern, store, binding));
+    });
+    bindings.push(...partial);
+  }
+
+  return bindings
+    .map(binding => evaluateBuiltins(rule.builtins, binding))
+    .filter(Boolean);
+}
+
+/**
+ * The conclusion of a rule for a binding. Blank nodes of the conclusion get
+ * one node per rule and binding, labelled by a hash of both, so applying a
+ * rule again (also in a later run) adds nothing.
+ */
+function instantiate(rule, binding) {
+  const bindingKey = JSON.stringify(Object.entries(binding).map(([key, term]) => [key, term.id]).sort());
+  const term = item => {
+    if (item.termType === 'BlankNode') {
+      const hash = createHash('sha1').update(`${rule.id} ${bindingKey} ${item.value}`).digest('hex');
+      return blankNode(`e${hash.slice(0, 16)}`);
+    }
+    return item.termType === 'Variable' ? binding[variableKey(item)] : item;
+  };
+
+  return rule.conclusion
+    .map(item => quad(term(item.subject), term(item.predicate), term(item.object)))
+    .filter(item => item.subject && item.predicate && item.object);
+}
+
+/**
+ * Apply rules to a store until nothing new follows, adding the inferred
+ * quads to the store. With options.delta (quads just added to the store)
+ * only what follows from them is computed, else the rules are matched
+ * against the whole store. Returns the inferred quads.
+ */
+export function forwardChain(store, rules, options = {}) {
+  const { maxIterations = 10000 } = options;
+  const inferred = [];
+  let delta = options.delta ? new N3.Store(options.delta) : null;
+
+  for (let iteration = 0; delta === null || delta.size > 0; iteration++) {
+    if (iteration >= maxIterations) {
+      throw new Error(`Reasoning did not reach a fixpoint after ${maxIterations} iterations`);
+    }
+    const next = new N3.Store();
+    for (const rule of rules) {
+      for (const binding of matchRule(rule, store, delta)) {
+        for (const item of instantiate(rule, binding)) {
+          if (!store.has(item) && !next.has(item)) next.addQuad(item);
+        }
+      }
+    }
+    const added = next.getQuads(null, null, null, null);
+    store.addQuads(added);
+    inferred.push(...added);
+    delta = next;
+  }
+
+  return inferred;
+}
+
+/**
+ * Whether a quad still follows in one step from the store: some rule has it
+ * as conclusion and its premise matches
+ */
+function isDerivable(item, store, rules) {
+  return rules.some(rule => rule.conclusion.some(pattern => {
+    // Conclusions with new blank nodes are rederived by forwardChain
+    if ([pattern.subject, pattern.predicate, pattern.object].some(term => term.termType === 'BlankNode')) {
+      return false;
+    }
+    const binding = {};
+    const unified = unify(pattern.subject, item.subject, binding) &&
+      unify(pattern.predicate, item.predicate, binding) &&
+      unify(pattern.object, item.object, binding);
+    return unified && matchRule(rule, store, null, binding).length > 0;
+  }));
+}
+
+/**
+ * Remove quads from a store with everything inferred from them that no
+ * longer follows (delete and rederive):
+ * 1. every inferred quad that depends on a removed quad is deleted
+ * 2. deleted quads that still follow from what is left are added back,
+ *    with their consequences
+ * options.isAsserted(quad) tells the quads that are still asserted (by other
+ * sources), which are never deleted as a consequence.
+ * Returns { removed, rederived } quads.
+ */
+export function retract(store, rules, quads, options = {}) {
+  const { isAsserted = () => false } = options;
+  const removed = new N3.Store(quads.filter(item => store.has(item)));
+  let delta = new N3.Store(removed.getQuads(null, null, null, null));
+
+  // Overdelete, matching against the store before anything is deleted
+  while (delta.size > 0) {
+    const next = new N3.Store();
+    for (const rule of rules) {
+      for (const binding of matchRule(rule, store, delta)) {
+        for (const item of instantiate(rule, binding)) {
+          if (store.has(item) && !removed.has(item) && !next.has(item) && !isAsserted(item)) {
+            next.addQuad(item);
+          }
+        }
+      }
+    }
+    removed.addQuads(next.getQuads(null, null, null, null));
+    delta = next;
+  }
+  store.removeQuads(removed.getQuads(null, null, null, null));
+
+  // Rederive what still follows, then what follows from that
+  const rederived = removed.getQuads(null, null, null, null)
+    .filter(item => isDerivable(item, store, rules));
+  store.addQuads(rederived);
+  rederived.push(...forwardChain(store, rules, { delta: rederived }));
+
+  const removedQuads = removed.getQuads(null, null, null, null).filter(item => !store.has(item));
+  return { removed: removedQuads, rederived };
+}
+
+/**
+ * Run the rules over N-Triples (or Turtle/N3 data) and return an N3 Store
+ * with, depending on options.mode:
+ * - derivations (default): only the inferred triples
+ * - closure: the input triples with the inferred ones
+ * - query: the conclusions of the N3 query (filter) document options.query
+ *   over the closure
+ * options.inputFile / options.outputFile name the debug files, false (the
+ * default) skips writing them; options.print (default true) logs a heading
+ */
+export async function runForwardChaining(triples, rules, options = {}) {
+  const { mode = 'derivations', query, inputFile = false, outputFile = false, print = true } = options;
+  if (print) logger.info("\n=== Reasoning with the JavaScript reasoner ===");
+
+  if (!FORWARD_CHAINER_MODES.includes(mode)) {
+    throw new Error(
+      `Reasoner mode '${mode}' is not supported by the JavaScript reasoner, expected one of ${FORWARD_CHAINER_MODES.join(', ')}`
+    );
+  }
+  if (mode === 'query' && !query) {
+    throw new Error("Reasoner mode 'query' requires an N3 query document");
+  }
+
+  try {
+    if (inputFile) {
+      fs.writeFileSync(inputFile, triples + '\n' + rules, 'utf8');
+    }
+
+    const parsed = parseRules(rules);
+    const store = new N3.Store(new N3.Parser({ format: 'text/n3' }).parse(triples));
+    store.addQuads(parsed.facts);
+    const inferred = forwardChain(store, parsed.rules);
+
+    let result;
+    if (mode === 'derivations') {
+      result = new N3.Store(inferred);
+    } else if (mode === 'closure') {
+      result = store;
+    } else {
+      // The query rules are applied once to the closure, keeping only their conclusions
+      const queryRules = parseRules(query).rules;
+      result = new N3.Store(queryRules.flatMap(rule =>
+        matchRule(rule, store, null).flatMap(binding => instantiate(rule, binding))));
+    }
+
+    if (outputFile) {
+      const writer = new N3.Writer({ format: 'Turtle', prefixes: parsed.prefixes });
+      writer.addQuads(result.getQuads(null, null, null, null));
+      const output = await new Promise((resolve, reject) => {
+        writer.end((error, text) => (error ? reject(error) : resolve(text)));
+      });
+      fs.writeFileSync(outputFile, output, 'utf8');
+      logger.info(`Reasoning results saved to ${outputFile}`);
+    }
+
+    return result;
+  } catch (error) {
+    logger.error("Error executing JavaScript reasoning:", error);
+    throw error;
+  }
+}
@@ -0,0 +1,130 @@
+// functions.js
+// Transformation functions (FnO) that YARRRML `function:` blocks can call.
+// Every function receives an object from parameter IRI to value and returns
+// the new value; undefined or null means no term is generated.
+import { toSeconds } from './temporal.js';
+
+export const GREL = 'http://users.ugent.be/~bjdmeest/function/grel.ttl#';
+export const IDLAB = 'https://w3id.org/imec/idlab/function#';
+export const FN = 'http://televic.health.be/function/mapping#';
+
+const registry = new Map();
+
+/**
+ * Register a function under its IRI, replacing any function with that IRI.
+ * For example, mapping a priority code to a label:
+ *
+ *   registerFunction('http://example.com/function#priorityLabel',
+ *     params => ['low', 'normal', 'high', 'urgent'][params['http://example.com/function#code']]);
+ */
+export function registerFunction(iri, implementation) {
+  if (typeof implementation !== 'function') {
+    throw new TypeError(`Function ${iri} must be a JavaScript function`);
+  }
+  registry.set(iri, implementation);
+}
+
+/**
+ * Get a registered function by IRI
+ */
+export function getFunction(iri) {
+  const implementation = registry.get(iri);
+  if (!implementation) {
+    throw new Error(`Unknown function ${iri}, register it with registerFunction()`);
+  }
+  return implementation;
+}
+
+/**
+ * Build a regular expression and field order from a date pattern such as
+ * "dd/MM/yyyy HH:mm" (yyyy, MM, dd, HH, mm and ss are supported)
+ */
+function compileDatePattern(pattern) {
+  const fields = [];
+  const source = pattern.replace(/yyyy|MM|dd|HH|mm|ss|[.*+?^${}()|[\]\\]/g, token => {
+    if (token.length === 1) return `\\${token}`;
+    fields.push(token);
+    return token === 'yyyy' ? '(\\d{4})' : '(\\d{1,2})';
+  });
+  return { regex: new RegExp(`^${source}$`), fields };
+}
+
+/**
+ * Parse a date string with a pattern into its fields, or null if it does not match
+ */
+function parseDate(value, pattern) {
+  const { regex, fields } = compileDatePattern(pattern);
+  const match = String(value).trim().match(regex);
+  if (!match) return null;
+
+  const date = { yyyy: '0000', MM: '01', dd: '01', HH: '00', mm: '00', ss: '00' };
+  fields.forEach((field, i) => {
+    date[field] = match[i + 1].padStart(field.length, '0');
+  });
+  return date;
+}
+
+const pad = number => String(number).padStart(2, '0');
+
+// String case, trimming and replacing
+registerFunction(GREL + 'toUpperCase', params => String(params[GREL + 'valueParameter']).toUpperCase());
+registerFunction(GREL + 'toLowerCase', params => String(params[GREL + 'valueParameter']).toLowerCase());
+registerFunction(GREL + 'toTitlecase', params => String(params[GREL + 'valueParameter'])
+  .toLowerCase()
+  .replace(/(^|\s)\S/g, first => first.toUpperCase()));
+registerFunction(GREL + 'string_trim', params => String(params[GREL + 'valueParameter']).trim());
+registerFunction(GREL + 'string_replace', params => String(params[GREL + 'valueParameter'])
+  .split(params[GREL + 'p_string_find'])
+  .join(params[GREL + 'p_string_replace'] ?? ''));
+registerFunction(IDLAB + 'concat', params => [params[IDLAB + 'str'], params[IDLAB + 'otherStr']]
+  .filter(value => value !== undefined)
+  .join(params[IDLAB + 'delimiter'] ?? ''));
+
+// Numeric casts, empty or non-numeric values give no term
+registerFunction(GREL + 'string_toNumber', params => {
+  const value = String(params[GREL + 'p_any_e'] ?? '').trim();
+  return value === '' || Number.isNaN(Number(value)) ? undefined : Number(value);
+});
+registerFunction(FN + 'toInteger', params => {
+  const number = Number.parseInt(params[GREL + 'valueParameter'], 10);
+  return Number.isNaN(number) ? undefined : number;
+});
+registerFunction(GREL + 'string_toString', params => String(params[GREL + 'p_any_e']));
+
+// Dates: parse with a pattern to xsd:date / xsd:dateTime, or format an xsd:dateTime
+registerFunction(IDLAB + 'normalizeDate', params => {
+  const date = parseDate(params[IDLAB + 'strDate'], params[IDLAB + 'pattern']);
+  return date ? `${date.yyyy}-${date.MM}-${date.dd}` : undefined;
+});
+registerFunction(IDLAB + 'normalizeDateTime', params => {
+  const date = parseDate(params[IDLAB + 'strDate'], params[IDLAB + 'pattern']);
+  return date ? `${date.yyyy}-${date.MM}-${date.dd}T${date.HH}:${date.mm}:${date.ss}` : undefined;
+});
+registerFunction(FN + 'formatDateTime', params => {
+  const value = params[GREL + 'valueParameter'];
+  const seconds = toSeconds(String(value));
+  const date = Number.isNaN(seconds) ? new Date(value) : new Date(seconds * 1000);
+  if (Number.isNaN(date.getTime())) return undefined;
+
+  // UTC, as temporal.js reads timestamps without a zone, so the output is the
+  // same on every machine
+  const fields = {
+    yyyy: String(date.getUTCFullYear()),
+    MM: pad(date.getUTCMonth() + 1),
+    dd: pad(date.getUTCDate()),
+    HH: pad(date.getUTCHours()),
+    mm: pad(date.getUTCMinutes()),
+    ss: pad(date.getUTCSeconds()),
+  };
+  return String(params[FN + 'pattern']).replace(/yyyy|MM|dd|HH|mm|ss/g, token => fields[token]);
+});
+
+// Conditions, as generated by YARRRML `condition:` blocks
+registerFunction(IDLAB + 'equal', params =>
+  String(params[GREL + 'valueParameter']) === String(params[GREL + 'valueParameter2']));
+registerFunction(IDLAB + 'notEqual', params =>
+  String(params[GREL + 'valueParameter']) !== String(params[GREL + 'valueParameter2']));
+registerFunction(IDLAB + 'isNull', params =>
+  params[IDLAB + 'str'] === undefined || params[IDLAB + 'str'] === '');
+registerFunction(IDLAB + 'trueCondition', params =>
+  String(params[IDLAB + 'strBoolean']) === 'true' ? params[IDLAB + 'str'] : undefined);
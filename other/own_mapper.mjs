@@ -1,7 +1,10 @@
 // own_mapper.mjs
-import { runMapping } from './rdf-processor.js';
+import { runMapping, formatReport } from './rdf-processor.js';
 import fs from 'fs';
-import { n3reasoner } from 'eyereasoner';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { runEyeReasoner } from '../helpers.js';
+import { logger } from '../logger.js';
 import { QueryEngine } from '@comunica/query-sparql';
 import * as N3 from 'n3';
 
@@ -12,6 +15,7 @@ const pharmaMapping = `
 prefixes:
   ex: "http://example.com/"
   schema: "http://schema.org/"
+  grel: "http://users.ugent.be/~bjdmeest/function/grel.ttl#"
 mappings:
   medication:
     sources:
@@ -19,7 +23,11 @@ mappings:
     s: ex:medication/$(artikel___ATC___label)
     po:
       - [ex:date, $(begin_date)]
-      - [schema:identifier, $(artikel___ATC___label)]
+      - p: schema:identifier
+        o:
+          function: grel:string_trim
+          parameters:
+            - [grel:valueParameter, $(artikel___ATC___label)]
       - [ex:room, $(room)]
 `;
 
@@ -71,87 +79,65 @@ const query = `
 }.
 `;
 
-// Function to run reasoning with EYE reasoner
-async function runEyeReasoner(triples, rules, query) {
-    console.log("\n=== Medication Analysis with EYE Reasoner ===");
-
-    try {
-        // Save the input data for debugging
-        fs.writeFileSync('reasoner-input.n3', triples + '\n' + rules, 'utf8');
-        fs.writeFileSync('reasoner-query.n3', query, 'utf8');
-
-        // Run the reasoner with separate rules and query
-        const reasoningResult = await n3reasoner(triples + '\n' + rules, query);
-
-        // Save the results
-        fs.writeFileSync('reasoning-result.n3', reasoningResult, 'utf8');
-        console.log("Reasoning results saved to reasoning-result.n3");
-
-        // Parse the results into a store
-        const store = new N3.Store();
-        const parser = new N3.Parser();
-        const quads = parser.parse(reasoningResult);
-        store.addQuads(quads);
-
-        // Extract medication data into objects for display
-        const medications = [];
-        const seenMedications = new Set();
+// Function to show the medications the EYE reasoner classified
+function showMedications(store) {
+    // Extract medication data into objects for display
+    const medications = [];
+    const seenMedications = new Set();
+
+    // Get all unique medications
+    store.forEach((quad) => {
+        if (quad.object.value === 'http://example.com/Medication' && !seenMedications.has(quad.subject.value)) {
+            seenMedications.add(quad.subject.value);
+            medications.push({
+                uri: quad.subject.value,
+                id: '',
+                date: '',
+                room: '',
+                isRoom1: false
+            });
+        }
+    });
 
-        // Get all unique medications
+    // Get medication properties
+    medications.forEach(med => {
         store.forEach((quad) => {
-            if (quad.object.value === 'http://example.com/Medication' && !seenMedications.has(quad.subject.value)) {
-                seenMedications.add(quad.subject.value);
-                medications.push({
-                    uri: quad.subject.value,
-                    id: '',
-                    date: '',
-                    room: '',
-                    isRoom1: false
-                });
-            }
-        });
-
-        // Get medication properties
-        medications.forEach(med => {
-            store.forEach((quad) => {
-                if (quad.subject.value === med.uri) {
-                    if (quad.predicate.value === 'http://schema.org/identifier') {
-                        med.id = quad.object.value;
-                    } else if (quad.predicate.value === 'http://example.com/date') {
-                        med.date = quad.object.value;
-                    } else if (quad.predicate.value === 'http://example.com/room') {
-                        med.room = quad.object.value;
-                    } else if (quad.predicate.value === 'http://www.w3.org/1999/02/22-rdf-syntax-ns#type' &&
-                        quad.object.value === 'http://example.com/Room1Medication') {
-                        med.isRoom1 = true;
-                    }
+            if (quad.subject.value === med.uri) {
+                if (quad.predicate.value === 'http://schema.org/identifier') {
+                    med.id = quad.object.value;
+                } else if (quad.predicate.value === 'http://example.com/date') {
+                    med.date = quad.object.value;
+                } else if (quad.predicate.value === 'http://example.com/room') {
+                    med.room = quad.object.value;
+                } else if (quad.predicate.value === 'http://www.w3.org/1999/02/22-rdf-syntax-ns#type' &&
+                    quad.object.value === 'http://example.com/Room1Medication') {
+                    med.isRoom1 = true;
                 }
-            });
+            }
         });
+    });
 
-        // Display the results in a table format
-        console.log("\nEYE Reasoner Results:");
-        console.log("\nMedication | Date | Room | Classifications");
-        console.log("-----------|------|------|---------------");
+    // Display the results in a table format; the table is output, not log
+    const lines = [
+        "\nEYE Reasoner Results:",
+        "\nMedication | Date | Room | Classifications",
+        "-----------|------|------|---------------",
+    ];
 
-        medications.forEach(med => {
-            const classifications = ['Medication'];
-            if (med.isRoom1) classifications.push('Room1Medication');
+    medications.forEach(med => {
+        const classifications = ['Medication'];
+        if (med.isRoom1) classifications.push('Room1Medication');
 
-            console.log(`${med.id} | ${med.date} | ${med.room} | ${classifications.join(', ')}`);
-        });
+        lines.push(`${med.id} | ${med.date} | ${med.room} | ${classifications.join(', ')}`);
+    });
+    process.stdout.write(`${lines.join('\n')}\n`);
 
-        return { store, medications };
-    } catch (error) {
-        console.error("Error executing EYE reasoning:", error);
-        console.log("\nDiagnostic information:");
-        throw error;
-    }
+    return medications;
 }
 
 // Function to run SPARQL query with Comunica
 async function runSparqlQuery(triples) {
-    console.log("\n=== Medication Analysis with SPARQL ===");
+    logger.info("\n=== Medication Analysis with SPARQL ===");
 
     try {
         // Parse the triples into an N3 Store for Comunica
@@ -191,9 +177,11 @@ async function runSparqlQuery(triples) {
         // Display the results
         const bindings = await queryStream.toArray();
 
-        console.log("\nSPARQL Query Results:");
-        console.log("\nMedication | Administrations | First Administration | Last Administration | Rooms");
-        console.log("-----------|----------------|---------------------|-------------------|-------");
+        const lines = [
+            "\nSPARQL Query Results:",
+            "\nMedication | Administrations | First Administration | Last Administration | Rooms",
+            "-----------|----------------|---------------------|-------------------|-------",
+        ];
 
         for (const binding of bindings) {
             const identifier = binding.get('identifier').value;
@@ -202,37 +190,52 @@ async function runSparqlQuery(triples) {
             const lastDate = binding.get('lastAdministration').value;
             const rooms = binding.get('rooms').value;
 
-            console.log(`${identifier} | ${count} | ${firstDate} | ${lastDate} | ${rooms}`);
+            lines.push(`${identifier} | ${count} | ${firstDate} | ${lastDate} | ${rooms}`);
         }
+        process.stdout.write(`${lines.join('\n')}\n`);
 
         return { bindings };
     } catch (error) {
-        console.error("Error executing SPARQL query:", error);
+        logger.error("Error executing SPARQL query:", error);
         throw error;
     }
 }
 
-// Main execution
-runMapping(pharmaMapping, './medication.csv', 'medication.csv')
-    .then(async ({ rmlMapping, triples }) => {
-        // Save the combined output to a single .nt file
-        const combinedOutput = rmlMapping + '\n' + triples;
-        fs.writeFileSync('medication.nt', combinedOutput, 'utf8');
-        console.log("RML mapping and triples saved to medication.nt");
-
-        try {
-            // Run EYE reasoner
-            await runEyeReasoner(triples, rules, query);
-
-            // Run SPARQL query
-            await runSparqlQuery(triples);
-
-        } catch (error) {
-            console.log("An error occurred during processing:", error);
-            console.log("\nDiagnostic information:");
-            console.log("Triples preview:", triples.substring(0, 200) + "...");
-        }
-    })
-    .catch(error => {
-        console.error("Mapping failed:", error);
-    });
\ No newline at end of file
+// Main execution: map medication.csv, reason and query over it
+function main() {
+    return runMapping(pharmaMapping, './medication.csv', 'medication.csv')
+        .then(async ({ rmlMapping, triples, report }) => {
+            // Print and save the data-quality report of the mapping
+            logger.info(formatReport(report));
+            fs.writeFileSync('medication-report.json', JSON.stringify(report, null, 2), 'utf8');
+            logger.info("Mapping report saved to medication-report.json");
+
+            // Save the combined output to a single .nt file
+            const combinedOutput = rmlMapping + '\n' + triples;
+            fs.writeFileSync('medication.nt', combinedOutput, 'utf8');
+            logger.info("RML mapping and triples saved to medication.nt");
+
+            try {
+                // Run EYE reasoner, keeping what the query asks for
+                logger.info("\n=== Medication Analysis with EYE Reasoner ===");
+                const store = await runEyeReasoner(triples, rules, { mode: 'query', query });
+                showMedications(store);
+
+                // Run SPARQL query
+                await runSparqlQuery(triples);
+
+            } catch (error) {
+                logger.error("An error occurred during processing:", error);
+            }
+        })
+        .catch(error => {
+            logger.error("Mapping failed:", error);
+        });
+}
+
+// Only run when started as a script, so the mapping, rules and query can be imported
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+    main();
+}
+
+export { pharmaMapping, rules, query };
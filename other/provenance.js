@@ -0,0 +1,128 @@
+// provenance.js
+// Row-level provenance of a mapping run in PROV-O. The triples that a
+// TriplesMap generates from one row go to a named graph of their own, a
+// prov:Bundle, which the default graph describes: the source it was derived
+// from, the row number (counted from 1 without the CSV header, as in the
+// data-quality report), the TriplesMap and the mapping run with its timestamp.
+// The row and the TriplesMap have terms of the pipeline's own provenance
+// namespace (kgprov:), not of the clinical ontology.
+import { createRequire } from 'module';
+
+const require = createRequire(import.meta.url);
+const N3 = require('n3');
+
+const { namedNode, literal, quad, blankNode } = N3.DataFactory;
+
+const PROV = 'http://www.w3.org/ns/prov#';
+export const KGPROV = 'http://televic.health.be/provenance#';
+const RDF_TYPE = namedNode('http://www.w3.org/1999/02/22-rdf-syntax-ns#type');
+const RDFS_LABEL = namedNode('http://www.w3.org/2000/01/rdf-schema#label');
+const XSD_DATETIME = namedNode('http://www.w3.org/2001/XMLSchema#dateTime');
+const XSD_INTEGER = namedNode('http://www.w3.org/2001/XMLSchema#integer');
+
+const prov = term => namedNode(PROV + term);
+
+/**
+ * Start recording the provenance of a mapping run that starts at startedAt
+ */
+export function createProvenance(startedAt = new Date()) {
+  return {
+    run: namedNode(`urn:prov:run:${startedAt.toISOString()}`),
+    startedAt,
+    sources: new Set(),
+    triplesMaps: new Map(),
+    quads: [],
+  };
+}
+
+/**
+ * Named graph of the triples of a TriplesMap for one row, e.g.
+ * <urn:prov:row:calls:3>
+ */
+export function rowGraph(triplesMapName, rowNumber) {
+  return namedNode(`urn:prov:row:${encodeURIComponent(triplesMapName)}:${rowNumber}`);
+}
+
+/**
+ * Entity of a source file, e.g. <urn:prov:source:calls.csv>
+ */
+function sourceEntity(source) {
+  return namedNode(`urn:prov:source:${encodeURIComponent(source)}`);
+}
+
+/**
+ * Record the quads that a TriplesMap generated from a row. triplesMap is
+ * { iri, name, source }; rows without quads are left out.
+ */
+export function addRowProvenance(provenance, triplesMap, rowNumber, quads) {
+  if (quads.length === 0) return;
+  const graph = rowGraph(triplesMap.name, rowNumber);
+  const source = sourceEntity(triplesMap.source);
+  provenance.sources.add(triplesMap.source);
+  provenance.triplesMaps.set(triplesMap.iri, triplesMap.name);
+
+  quads.forEach(item => provenance.quads.push(quad(item.subject, item.predicate, item.object, graph)));
+  provenance.quads.push(
+    quad(graph, RDF_TYPE, prov('Bundle')),
+    quad(graph, prov('wasGeneratedBy'), provenance.run),
+    quad(graph, prov('wasDerivedFrom'), source),
+    quad(graph, namedNode(KGPROV + 'sourceRow'), literal(String(rowNumber), XSD_INTEGER)),
+    quad(graph, namedNode(KGPROV + 'mappingRule'), namedNode(triplesMap.iri)),
+  );
+}
+
+/**
+ * Quads of the recorded provenance: the row graphs, their descriptions and
+ * the mapping run, which used the sources and followed the TriplesMaps as
+ * plans. The run ends at endedAt.
+ */
+export function provenanceQuads(provenance, endedAt = new Date()) {
+  const { run } = provenance;
+  const description = [
+    quad(run, RDF_TYPE, prov('Activity')),
+    quad(run, prov('startedAtTime'), literal(provenance.startedAt.toISOString(), XSD_DATETIME)),
+    quad(run, prov('endedAtTime'), literal(endedAt.toISOString(), XSD_DATETIME)),
+  ];
+  for (const source of provenance.sources) {
+    const entity = sourceEntity(source);
+    description.push(
+      quad(entity, RDF_TYPE, prov('Entity')),
+      quad(entity, RDFS_LABEL, literal(source)),
+      quad(run, prov('used'), entity),
+    );
+  }
+  for (const [iri, name] of provenance.triplesMaps) {
+    const association = blankNode();
+    description.push(
+      quad(namedNode(iri), RDF_TYPE, prov('Plan')),
+      quad(namedNode(iri), RDFS_LABEL, literal(name)),
+      quad(run, prov('qualifiedAssociation'), association),
+      quad(association, RDF_TYPE, prov('Association')),
+      quad(association, prov('hadPlan'), namedNode(iri)),
+    );
+  }
+  return [...provenance.quads, ...description];
+}
+
+/**
+ * Keep the provenance of the given triples only, for triples that another
+ * mapper generated from the same mapping. Triples with blank nodes cannot be
+ * matched and are not traced. Returns { quads, traced, untraced } with the
+ * number of triples that were and were not found in a row graph.
+ */
+export function restrictProvenance(provenance, triples) {
+  const key = item => `${item.subject.id} ${item.predicate.id} ${item.object.id}`;
+  const wanted = new Set(triples.map(key));
+  const found = new Set();
+  const kept = provenance.filter(item => {
+    if (!item.graph.value.startsWith('urn:prov:row:')) return true;
+    if (!wanted.has(key(item))) return false;
+    found.add(key(item));
+    return true;
+  });
+
+  // Bundles without triples left are not described either
+  const graphs = new Set(kept.filter(item => item.graph.termType === 'NamedNode').map(item => item.graph.value));
+  const quads = kept.filter(item => !item.subject.value.startsWith('urn:prov:row:') || graphs.has(item.subject.value));
+  return { quads, traced: found.size, untraced: wanted.size - found.size };
+}
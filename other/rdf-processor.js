@@ -1,5 +1,8 @@
 // rdf-processor.js
 import fs from 'fs';
+import { createHash } from 'crypto';
+import { Readable } from 'stream';
+import { pipeline } from 'stream/promises';
 import { createRequire } from 'module';
 
 // Create a require function
@@ -11,6 +14,31 @@ const YarrrmlParser = require('@rmlio/yarrrml-parser/lib/rml-generator');
 
 // Adding csv-parse for better CSV handling
 const { parse } = require('csv-parse/sync');
+const { parse: parseStream } = require('csv-parse');
+
+// JSONPath and XPath for JSON and XML logical sources
+const { JSONPath } = require('jsonpath-plus');
+const { DOMParser } = require('@xmldom/xmldom');
+const xpath = require('xpath');
+
+// Transformation functions for FnO function term maps
+import { getFunction } from './functions.js';
+export { registerFunction } from './functions.js';
+
+// Data-quality report of the mapping
+import {
+  createReport,
+  addIssue,
+  countRow,
+  enforcePolicy,
+  getTriplesMapReport,
+  isValidLexicalForm,
+} from './report.js';
+export { formatReport } from './report.js';
+
+// Row-level provenance of the mapping
+import { createProvenance, addRowProvenance, provenanceQuads } from './provenance.js';
+import { logger } from '../logger.js';
 
 /**
  * Convert YARRRML to RML
@@ -35,7 +63,7 @@ export async function convertYarmlToRML(yarml) {
       if (error) {
         reject(error);
       } else {
-        console.log("Generated RML mapping:\n", result);
+        logger.debug(`Generated RML mapping:\n${result}`);
         resolve(result);
       }
     });
@@ -73,13 +101,19 @@ function extractLogicalSources(quads) {
           quad.predicate.value === 'http://semweb.mmlab.be/ns/rml#logicalSource') {
         const logicalSourceNode = quad.object.value;
         
-        // Find source file for this logical source
+        // Find source file, reference formulation and iterator for this logical source
+        const logicalSource = { referenceFormulation: 'http://semweb.mmlab.be/ns/ql#CSV' };
         quads.forEach(sourceQuad => {
-          if (sourceQuad.subject.value === logicalSourceNode && 
-              sourceQuad.predicate.value === 'http://semweb.mmlab.be/ns/rml#source') {
-            logicalSources[triplesMap] = sourceQuad.object.value;
+          if (sourceQuad.subject.value !== logicalSourceNode) return;
+          if (sourceQuad.predicate.value === 'http://semweb.mmlab.be/ns/rml#source') {
+            logicalSource.source = sourceQuad.object.value;
+          } else if (sourceQuad.predicate.value === 'http://semweb.mmlab.be/ns/rml#referenceFormulation') {
+            logicalSource.referenceFormulation = sourceQuad.object.value;
+          } else if (sourceQuad.predicate.value === 'http://semweb.mmlab.be/ns/rml#iterator') {
+            logicalSource.iterator = sourceQuad.object.value;
           }
         });
+        logicalSources[triplesMap] = logicalSource;
       }
     });
   });
@@ -87,221 +121,907 @@ function extractLogicalSources(quads) {
   return { logicalSources, triplesMaps };
 }
 
+// csv-parse options shared by the batch and streaming parsers
+const CSV_OPTIONS = {
+  columns: true,
+  skip_empty_lines: true,
+  trim: true,
+  relax_column_count: true,
+  relax_quotes: true,
+};
+
+/**
+ * Handle headers with dots by creating a nested structure
+ */
+function nestRecord(record) {
+  const processedRecord = {};
+  
+  Object.keys(record).forEach(key => {
+    if (key.includes('.')) {
+      const parts = key.split('.');
+      let current = processedRecord;
+      
+      // Create nested objects for each dot-separated part
+      for (let i = 0; i < parts.length - 1; i++) {
+        if (!current[parts[i]]) {
+          current[parts[i]] = {};
+        }
+        current = current[parts[i]];
+      }
+      
+      // Set the final property
+      current[parts[parts.length - 1]] = record[key];
+    } else {
+      processedRecord[key] = record[key];
+    }
+  });
+  
+  // Also keep the original flat structure for direct access
+  Object.keys(record).forEach(key => {
+    processedRecord[key] = record[key];
+  });
+  
+  return processedRecord;
+}
+
 /**
  * Parse CSV data with robust handling of different formats
  */
 function parseCSV(csvContent) {
   try {
     // Use csv-parse for better CSV parsing
-    const records = parse(csvContent, {
-      columns: true,
-      skip_empty_lines: true,
-      trim: true,
-      relax_column_count: true,
-      relax_quotes: true,
-    });
-    
-    // Handle headers with dots by creating a nested structure
-    const processedRecords = records.map(record => {
-      const processedRecord = {};
-      
-      Object.keys(record).forEach(key => {
-        if (key.includes('.')) {
-          const parts = key.split('.');
-          let current = processedRecord;
-          
-          // Create nested objects for each dot-separated part
-          for (let i = 0; i < parts.length - 1; i++) {
-            if (!current[parts[i]]) {
-              current[parts[i]] = {};
-            }
-            current = current[parts[i]];
-          }
-          
-          // Set the final property
-          current[parts[parts.length - 1]] = record[key];
-        } else {
-          processedRecord[key] = record[key];
-        }
-      });
-      
-      // Also keep the original flat structure for direct access
-      Object.keys(record).forEach(key => {
-        processedRecord[key] = record[key];
-      });
-      
-      return processedRecord;
-    });
+    const records = parse(csvContent, CSV_OPTIONS);
     
     return { 
       headers: Object.keys(records[0] || {}), 
-      rows: processedRecords
+      rows: records.map(nestRecord)
     };
   } catch (error) {
-    console.error("Error parsing CSV:", error);
+    logger.error("Error parsing CSV:", error);
     throw error;
   }
 }
 
+// Vocabulary used by RML mappings
+const RR = 'http://www.w3.org/ns/r2rml#';
+const RML = 'http://semweb.mmlab.be/ns/rml#';
+const FNML = 'http://semweb.mmlab.be/ns/fnml#';
+const FNO_EXECUTES = 'https://w3id.org/function/ontology#executes';
+const RDF_TYPE = 'http://www.w3.org/1999/02/22-rdf-syntax-ns#type';
+const RDFS_LABEL = 'http://www.w3.org/2000/01/rdf-schema#label';
+
+// {reference} placeholders in templates, skipping escaped braces
+const TEMPLATE_PLACEHOLDER = /(?<!\\)\{((?:[^{}\\]|\\.)*)\}/g;
+
+const { namedNode, blankNode, literal, quad } = N3.DataFactory;
+
+// Issues that the report of a streaming mapping keeps per TriplesMap; the
+// others are only counted, so the report does not grow with the rows
+const MAX_STREAMING_ISSUES = 1000;
+
+/**
+ * Get the first object of a subject/predicate pair in the mapping store
+ */
+function getObject(store, subject, predicate) {
+  return store.getObjects(subject, namedNode(predicate), null)[0] || null;
+}
+
+/**
+ * Get a value from a row, handling both direct properties and nested properties.
+ * CSV and JSON rows are objects, XML rows are element nodes queried with XPath.
+ */
+function getReferenceValue(row, reference) {
+  if (row.nodeType) {
+    return xpath.select(`string(${reference})`, row);
+  }
+
+  // JSONPath references may be written from the current record
+  reference = reference.replace(/^[$@]\./, '');
+
+  if (reference.includes('.')) {
+    // Handle nested references like "room.name"
+    const parts = reference.split('.');
+    let current = row;
+
+    // Navigate the nested structure
+    for (let i = 0; i < parts.length; i++) {
+      if (current && current[parts[i]] !== undefined && current[parts[i]] !== null) {
+        current = current[parts[i]];
+      } else {
+        // If property not found in nested structure, try as a flat property
+        return row[reference] || '';
+      }
+    }
+
+    return current;
+  }
+
+  // Direct property
+  return row[reference] ?? '';
+}
+
+/**
+ * Fill in the {reference} placeholders of a template, percent-encoding the
+ * values when the template generates IRIs. Escaped braces (\{ and \}) are kept.
+ * References without a value are added to missing.
+ */
+function expandTemplate(template, row, encode, missing = []) {
+  return template
+    .replace(TEMPLATE_PLACEHOLDER, (match, reference) => {
+      reference = reference.replace(/\\(.)/g, '$1');
+      const value = String(getReferenceValue(row, reference));
+      if (value === '') missing.push(reference);
+      return encode ? encodeURIComponent(value) : value;
+    })
+    .replace(/\\([{}\\])/g, '$1');
+}
+
+/**
+ * Record a data-quality issue of the row being mapped. Returns whether the
+ * term with the issue must be left out, which is the case for the skip policy.
+ */
+function reportIssue(context, issue) {
+  if (context.rowIssues) context.rowIssues.push(issue);
+  return context.report.policy === 'skip';
+}
+
+/**
+ * Read a term map (subject, predicate, object or graph map) into a plain
+ * description of how to generate its terms
+ */
+function parseTermMap(store, termMapNode, position) {
+  // Referencing object maps link to the subjects of another TriplesMap
+  const parentTriplesMap = getObject(store, termMapNode, RR + 'parentTriplesMap');
+  if (parentTriplesMap) {
+    return {
+      node: termMapNode,
+      parentTriplesMap: parentTriplesMap.value,
+      joinConditions: store.getObjects(termMapNode, namedNode(RR + 'joinCondition'), null)
+        .map(joinCondition => ({
+          child: getObject(store, joinCondition, RR + 'child').value,
+          parent: getObject(store, joinCondition, RR + 'parent').value,
+        })),
+    };
+  }
+
+  const constant = getObject(store, termMapNode, RR + 'constant');
+  const reference = getObject(store, termMapNode, RML + 'reference')
+    || getObject(store, termMapNode, RR + 'column');
+  const template = getObject(store, termMapNode, RR + 'template');
+  const datatype = getObject(store, termMapNode, RR + 'datatype');
+  const language = getObject(store, termMapNode, RR + 'language');
+  const languageMapNode = getObject(store, termMapNode, RML + 'languageMap');
+  const datatypeMapNode = getObject(store, termMapNode, RML + 'datatypeMap');
+  const functionValueNode = getObject(store, termMapNode, FNML + 'functionValue');
+  const termType = getObject(store, termMapNode, RR + 'termType');
+
+  // Default term types as defined by R2RML
+  let defaultTermType = RR + 'IRI';
+  if (constant) {
+    defaultTermType = constant.termType === 'Literal' ? RR + 'Literal' : RR + 'IRI';
+  } else if (position === 'language'
+    || (position === 'object' && (reference || datatype || language || languageMapNode || datatypeMapNode))) {
+    defaultTermType = RR + 'Literal';
+  }
+
+  return {
+    node: termMapNode,
+    position,
+    constant,
+    reference: reference && reference.value,
+    template: template && template.value,
+    functionValue: functionValueNode && parseFunctionValue(store, functionValueNode),
+    termType: termType ? termType.value : defaultTermType,
+    datatype: datatype && datatype.value,
+    language: language && language.value,
+    // Language and datatype can also be generated per row by a term map
+    languageMap: languageMapNode && parseTermMap(store, languageMapNode, 'language'),
+    datatypeMap: datatypeMapNode && parseTermMap(store, datatypeMapNode, 'datatype'),
+  };
+}
+
+/**
+ * Read a function value into the function IRI it executes and the term maps
+ * of its parameters. Parameters can themselves be function term maps.
+ */
+function parseFunctionValue(store, functionValueNode) {
+  const functionValue = { executes: null, parameters: [] };
+
+  for (const poMapNode of store.getObjects(functionValueNode, namedNode(RR + 'predicateObjectMap'), null)) {
+    const predicateMaps = getTermMaps(store, poMapNode, 'predicateMap', 'predicate', 'predicate');
+    const objectMaps = getTermMaps(store, poMapNode, 'objectMap', 'object', 'object');
+
+    for (const predicateMap of predicateMaps) {
+      const parameter = predicateMap.constant.value;
+      if (parameter === FNO_EXECUTES) {
+        // The function IRI is sometimes given as a literal
+        functionValue.executes = objectMaps[0].constant.value;
+      } else {
+        objectMaps.forEach(valueMap => functionValue.parameters.push({ parameter, valueMap }));
+      }
+    }
+  }
+
+  return functionValue;
+}
+
+/**
+ * Execute the function of a function term map for a row
+ */
+function executeFunction(functionValue, row, context) {
+  const params = {};
+  for (const { parameter, valueMap } of functionValue.parameters) {
+    const term = generateTerm(valueMap, row, context);
+    if (term) params[parameter] = term.value;
+  }
+  return getFunction(functionValue.executes)(params);
+}
+
+/**
+ * Collect the term maps of a map for a property, including the constant
+ * shortcut properties (e.g. rr:predicate for rr:predicateMap)
+ */
+function getTermMaps(store, map, mapProperty, shortcutProperty, position) {
+  const termMaps = store.getObjects(map, namedNode(RR + mapProperty), null)
+    .map(termMapNode => parseTermMap(store, termMapNode, position));
+
+  store.getObjects(map, namedNode(RR + shortcutProperty), null).forEach(constant => {
+    termMaps.push({
+      constant,
+      termType: constant.termType === 'Literal' ? RR + 'Literal' : RR + 'IRI',
+    });
+  });
+
+  return termMaps;
+}
+
 /**
- * Process CSV data based on RML rules
+ * Generate the RDF term of a term map for a row, or null when a function
+ * gives no value. A value can be passed in for references that yield
+ * several values (JSON arrays).
  */
-async function processCSVWithRML(rmlQuads, inputFiles) {
+function generateTerm(termMap, row, context, value) {
+  if (termMap.constant) return termMap.constant;
+
+  const missing = [];
+  if (value !== undefined) {
+    value = String(value);
+  } else if (termMap.functionValue) {
+    value = executeFunction(termMap.functionValue, row, context);
+    if (value === undefined || value === null) return null;
+    value = String(value);
+  } else if (termMap.template) {
+    value = expandTemplate(termMap.template, row, termMap.termType === RR + 'IRI', missing);
+  } else if (termMap.reference) {
+    value = String(getReferenceValue(row, termMap.reference));
+    if (value === '') missing.push(termMap.reference);
+  }
+
+  if (missing.length > 0) {
+    // A subject template without any value would give a dangling IRI like .../calls/
+    const placeholders = termMap.template ? termMap.template.match(TEMPLATE_PLACEHOLDER).length : 1;
+    const type = termMap.position === 'subject' && missing.length === placeholders
+      ? 'empty-subject'
+      : 'missing-reference';
+    const skip = reportIssue(context, {
+      type,
+      position: termMap.position,
+      references: missing,
+      message: `${type === 'empty-subject' ? 'Empty subject' : `Missing ${termMap.position} value`}` +
+        ` for ${missing.map(reference => `'${reference}'`).join(', ')}`,
+    });
+    if (skip) return null;
+  }
+
+  switch (termMap.termType) {
+    case RR + 'BlankNode':
+      // A blank node map without a value gives a fresh blank node per row
+      if (value === undefined) return blankNode();
+      return valueBlankNode(termMap, value);
+    case RR + 'Literal': {
+      const language = termMap.language
+        || (termMap.languageMap && generateTerm(termMap.languageMap, row, context)?.value);
+      if (language) return literal(value, language);
+      const datatype = termMap.datatype
+        ? namedNode(termMap.datatype)
+        : termMap.datatypeMap && generateTerm(termMap.datatypeMap, row, context);
+      if (!datatype) return literal(value);
+
+      // Missing values were reported above, only check the values that are there
+      if (missing.length === 0 && !isValidLexicalForm(value, datatype.value)) {
+        const skip = reportIssue(context, {
+          type: 'invalid-datatype',
+          position: termMap.position,
+          value,
+          datatype: datatype.value,
+          message: `'${value}' is not a valid ${datatype.value}`,
+        });
+        if (skip) return null;
+      }
+      return literal(value, datatype);
+    }
+    default:
+      return namedNode(value);
+  }
+}
+
+/**
+ * Build the key a row is joined on; rows with an empty join value never join
+ */
+function getJoinKey(row, references) {
+  const values = references.map(reference => String(getReferenceValue(row, reference)));
+  return values.includes('') ? null : JSON.stringify(values);
+}
+
+/**
+ * Get the hash index of a referencing object map, from join key to the
+ * subjects of the parent TriplesMap. The index is built once, on first use.
+ */
+function getJoinIndex(objectMap, parent, context) {
+  if (!context.joinIndexes.has(objectMap)) {
+    const parentReferences = objectMap.joinConditions.map(condition => condition.parent);
+    const index = new Map();
+
+    // Issues of the parent rows are reported when the parent itself is mapped
+    const rowIssues = context.rowIssues;
+    context.rowIssues = null;
+
+    for (const parentRow of parent.rows) {
+      const key = getJoinKey(parentRow, parentReferences);
+      if (key === null) continue;
+
+      const subject = generateTerm(parent.subjectMap, parentRow, context);
+      if (!subject) continue;
+      const subjects = index.get(key) || [];
+      if (!subjects.some(existing => existing.equals(subject))) {
+        subjects.push(subject);
+      }
+      index.set(key, subjects);
+    }
+
+    context.rowIssues = rowIssues;
+    context.joinIndexes.set(objectMap, index);
+  }
+
+  return context.joinIndexes.get(objectMap);
+}
+
+/**
+ * Generate the object terms of an object map for a row; referencing object
+ * maps can produce any number of parent subjects
+ */
+function generateObjects(objectMap, row, context) {
+  if (!objectMap.parentTriplesMap) {
+    // A reference to a JSON array gives one object per element
+    const value = objectMap.reference && getReferenceValue(row, objectMap.reference);
+    if (Array.isArray(value)) {
+      return value.map(element => generateTerm(objectMap, row, context, element)).filter(Boolean);
+    }
+    return [generateTerm(objectMap, row, context)].filter(Boolean);
+  }
+
+  const parent = context.triplesMaps.get(objectMap.parentTriplesMap);
+  if (!parent) return [];
+
+  // Without join conditions the parent shares the logical source, so its
+  // subject is generated from the same row
+  if (objectMap.joinConditions.length === 0) {
+    return [generateTerm(parent.subjectMap, row, context)].filter(Boolean);
+  }
+
+  const key = getJoinKey(row, objectMap.joinConditions.map(condition => condition.child));
+  if (key === null) return [];
+  return getJoinIndex(objectMap, parent, context).get(key) || [];
+}
+
+/**
+ * The blank node of a value of a blank node map. The label is a hash of the
+ * TriplesMap and the value, so the same value of a TriplesMap always gives
+ * the same blank node, also across runs, without remembering the values, and
+ * equal values of different TriplesMaps do not collide.
+ */
+function valueBlankNode(termMap, value) {
+  const hash = createHash('sha1').update(`${termMap.triplesMap}\n${value}`).digest('hex');
+  return blankNode(`b${hash.slice(0, 20)}`);
+}
+
+/**
+ * Read a TriplesMap into its subject map, classes and predicate-object maps
+ */
+function parseTriplesMap(store, triplesMapNode, name) {
+  const subjectMapNode = getObject(store, triplesMapNode, RR + 'subjectMap');
+  const subjectConstant = getObject(store, triplesMapNode, RR + 'subject');
+  if (!subjectMapNode && !subjectConstant) return null;
+
+  const subjectMap = subjectMapNode
+    ? parseTermMap(store, subjectMapNode, 'subject')
+    : { constant: subjectConstant, termType: RR + 'IRI' };
+  const classes = subjectMapNode
+    ? store.getObjects(subjectMapNode, namedNode(RR + 'class'), null)
+    : [];
+
+  const predicateObjectMaps = store
+    .getObjects(triplesMapNode, namedNode(RR + 'predicateObjectMap'), null)
+    .map(poMapNode => ({
+      predicateMaps: getTermMaps(store, poMapNode, 'predicateMap', 'predicate', 'predicate'),
+      objectMaps: getTermMaps(store, poMapNode, 'objectMap', 'object', 'object'),
+    }));
+
+  // Blank nodes of the term maps belong to this TriplesMap, see valueBlankNode
+  for (const termMap of [subjectMap, ...predicateObjectMaps.flatMap(map => map.objectMaps)]) {
+    termMap.triplesMap = triplesMapNode.value;
+  }
+
+  return { name, subjectMap, classes, predicateObjectMaps, subjectRows: new Map() };
+}
+
+/**
+ * Generate the quads of a TriplesMap for a single row, reporting its issues
+ * under rowNumber
+ */
+function generateRowQuads(triplesMap, row, context, rowNumber) {
+  context.rowIssues = [];
+  const quads = generateRowTerms(triplesMap, row, context);
+  const subject = quads.subject;
+
+  // Subjects are expected to be unique per TriplesMap, repeats are only
+  // reported. Streaming mapping does not keep the subjects, to bound its memory.
+  if (subject && triplesMap.subjectRows) {
+    const firstRow = triplesMap.subjectRows.get(subject.id);
+    if (firstRow === undefined) {
+      triplesMap.subjectRows.set(subject.id, rowNumber);
+    } else {
+      context.rowIssues.push({
+        type: 'duplicate-subject',
+        position: 'subject',
+        value: subject.value,
+        message: `Duplicate subject ${subject.value}, first generated by row ${firstRow}`,
+      });
+    }
+  }
+
+  context.rowIssues.forEach(issue => addIssue(context.report, triplesMap.name, { row: rowNumber, ...issue }));
+  countRow(context.report, triplesMap.name, {
+    hasIssues: context.rowIssues.length > 0,
+    skipped: !subject,
+  });
+  context.rowIssues = null;
+
+  return quads;
+}
+
+/**
+ * Generate the quads of a TriplesMap for a single row; the array also
+ * carries the generated subject
+ */
+function generateRowTerms(triplesMap, row, context) {
+  const quads = [];
+  const subject = generateTerm(triplesMap.subjectMap, row, context);
+  quads.subject = subject;
+  if (!subject) return quads;
+
+  // rr:class adds a type triple for every subject
+  triplesMap.classes.forEach(cls => {
+    quads.push(quad(subject, namedNode(RDF_TYPE), cls, triplesMap.graph));
+  });
+
+  // Every predicate is combined with every object of the same predicate-object map
+  for (const { predicateMaps, objectMaps } of triplesMap.predicateObjectMaps) {
+    const predicates = predicateMaps
+      .map(predicateMap => generateTerm(predicateMap, row, context))
+      .filter(Boolean);
+    const objects = objectMaps.flatMap(objectMap => generateObjects(objectMap, row, context));
+
+    for (const predicate of predicates) {
+      for (const object of objects) {
+        quads.push(quad(subject, predicate, object, triplesMap.graph));
+      }
+    }
+  }
+
+  return quads;
+}
+
+/**
+ * Parse JSON data into the records selected by a JSONPath iterator
+ */
+function parseJSON(jsonContent, iterator = '$') {
+  try {
+    const records = JSONPath({ path: iterator, json: JSON.parse(jsonContent), wrap: true });
+    return { rows: records.filter(record => record !== null && typeof record === 'object') };
+  } catch (error) {
+    logger.error("Error parsing JSON:", error);
+    throw error;
+  }
+}
+
+/**
+ * Parse XML data into the element nodes selected by an XPath iterator
+ */
+function parseXML(xmlContent, iterator = '/*') {
+  try {
+    const document = new DOMParser().parseFromString(xmlContent, 'text/xml');
+    return { rows: xpath.select(iterator, document) };
+  } catch (error) {
+    logger.error("Error parsing XML:", error);
+    throw error;
+  }
+}
+
+/**
+ * Parse a logical source into rows according to its reference formulation
+ */
+function parseLogicalSource(content, logicalSource) {
+  switch (logicalSource.referenceFormulation) {
+    case 'http://semweb.mmlab.be/ns/ql#JSONPath':
+      return parseJSON(content, logicalSource.iterator);
+    case 'http://semweb.mmlab.be/ns/ql#XPath':
+      return parseXML(content, logicalSource.iterator);
+    case 'http://semweb.mmlab.be/ns/ql#CSV':
+      return parseCSV(content);
+    default:
+      throw new Error(`Unsupported reference formulation ${logicalSource.referenceFormulation}`);
+  }
+}
+
+/**
+ * Named graph of the triples mapped from a source, e.g. <urn:graph:source:calls.csv>
+ */
+export function sourceGraph(source) {
+  return namedNode(`urn:graph:source:${encodeURIComponent(source)}`);
+}
+
+/**
+ * Read the triplesMaps whose source is available into a mapping context,
+ * each with its logical source. With options.graphPerSource the triples of
+ * each triplesMap go to the named graph of its source. With options.streaming
+ * duplicate subjects are not tracked, as that keeps every subject in memory.
+ */
+function prepareMapping(rmlQuads, availableSources, report, options = {}) {
   const { logicalSources, triplesMaps } = extractLogicalSources(rmlQuads);
   const store = new N3.Store(rmlQuads);
-  const resultQuads = [];
-  
-  // Process each triplesMap
-  for (const triplesMap of triplesMaps) {
-    const sourceFile = logicalSources[triplesMap];
-    if (!sourceFile || !inputFiles[sourceFile]) {
-      console.warn(`Source file ${sourceFile} not found in input files`);
+  const context = {
+    triplesMaps: new Map(),
+    joinIndexes: new Map(),
+    report,
+    rowIssues: null,
+  };
+
+  for (const triplesMapIRI of triplesMaps) {
+    const logicalSource = logicalSources[triplesMapIRI] || {};
+    const sourceFile = logicalSource.source;
+    const name = getObject(store, namedNode(triplesMapIRI), RDFS_LABEL)?.value || triplesMapIRI;
+    getTriplesMapReport(report, name);
+
+    if (!sourceFile || !availableSources[sourceFile]) {
+      logger.warn(`Source file ${sourceFile} not found in input files`);
+      addIssue(report, name, {
+        type: 'missing-source',
+        source: sourceFile,
+        message: `Source file ${sourceFile} not found in input files`,
+      });
       continue;
     }
     
-    const csvData = parseCSV(inputFiles[sourceFile]);
-    
-    // Get subject template
-    const subjectMapQuads = store.getQuads(triplesMap, 'http://www.w3.org/ns/r2rml#subjectMap', null);
-    if (subjectMapQuads.length === 0) continue;
-    
-    const subjectMap = subjectMapQuads[0].object.value;
-    const templateQuads = store.getQuads(subjectMap, 'http://www.w3.org/ns/r2rml#template', null);
-    if (templateQuads.length === 0) continue;
-    
-    const subjectTemplate = templateQuads[0].object.value;
-    
-    // Get predicate-object maps
-    const poMapQuads = store.getQuads(triplesMap, 'http://www.w3.org/ns/r2rml#predicateObjectMap', null);
-    
-    // Process each row in the CSV
-    for (const row of csvData.rows) {
-      // Create subject URI by replacing template variables
-      let subjectURI = subjectTemplate;
-      
-      // Replace template variables with values from row
-      // Handle both flat values and nested object values
-      for (const key of csvData.headers) {
-        const value = row[key] || '';
-        subjectURI = subjectURI.replace(`{${key}}`, encodeURIComponent(value));
-      }
-      
-      // Process each predicate-object map
-      for (const poMapQuad of poMapQuads) {
-        const poMap = poMapQuad.object.value;
-        
-        // Get predicate
-        const predicateMapQuads = store.getQuads(poMap, 'http://www.w3.org/ns/r2rml#predicateMap', null);
-        if (predicateMapQuads.length === 0) continue;
-        
-        const predicateMap = predicateMapQuads[0].object.value;
-        const predicateConstantQuads = store.getQuads(predicateMap, 'http://www.w3.org/ns/r2rml#constant', null);
-        if (predicateConstantQuads.length === 0) continue;
-        
-        const predicate = predicateConstantQuads[0].object.value;
-        
-        // Get object
-        const objectMapQuads = store.getQuads(poMap, 'http://www.w3.org/ns/r2rml#objectMap', null);
-        if (objectMapQuads.length === 0) continue;
-        
-        const objectMap = objectMapQuads[0].object.value;
-        const referenceQuads = store.getQuads(objectMap, 'http://semweb.mmlab.be/ns/rml#reference', null);
-        if (referenceQuads.length === 0) continue;
-        
-        const reference = referenceQuads[0].object.value;
-        
-        // Get value from row, handling both direct properties and nested properties
-        let value = '';
-        if (reference.includes('.')) {
-          // Handle nested references like "room.name"
-          const parts = reference.split('.');
-          let current = row;
-          
-          // Navigate the nested structure
-          for (let i = 0; i < parts.length; i++) {
-            if (current && current[parts[i]]) {
-              current = current[parts[i]];
-            } else {
-              // If property not found in nested structure, try as a flat property
-              current = row[reference] || '';
-              break;
-            }
-          }
-          
-          value = current;
-        } else {
-          // Direct property
-          value = row[reference] || '';
-        }
-        
-        // Add new quad to results
-        resultQuads.push(new N3.Quad(
-          N3.DataFactory.namedNode(subjectURI),
-          N3.DataFactory.namedNode(predicate),
-          N3.DataFactory.literal(value)
-        ));
-      }
-    }
+    const triplesMap = parseTriplesMap(store, namedNode(triplesMapIRI), name);
+    if (!triplesMap) continue;
+
+    triplesMap.iri = triplesMapIRI;
+    triplesMap.logicalSource = logicalSource;
+    if (options.streaming) triplesMap.subjectRows = null;
+    if (options.graphPerSource) triplesMap.graph = sourceGraph(sourceFile);
+    context.triplesMaps.set(triplesMapIRI, triplesMap);
   }
 
-  // Write results to N-Triples format
+  return context;
+}
+
+/**
+ * Load the rows of a triplesMap; sources shared by several triplesMaps are
+ * parsed once per iterator
+ */
+function loadRows(triplesMap, readSource, parsedSources) {
+  const { source, referenceFormulation, iterator } = triplesMap.logicalSource;
+  const sourceKey = JSON.stringify([source, referenceFormulation, iterator]);
+  if (!parsedSources[sourceKey]) {
+    parsedSources[sourceKey] = parseLogicalSource(readSource(source), triplesMap.logicalSource);
+  }
+  triplesMap.rows = parsedSources[sourceKey].rows;
+}
+
+/**
+ * Process CSV data based on RML rules, returning the N-Triples, the quads
+ * (in their source graph with options.graphPerSource) and the data-quality
+ * report. With options.provenance it also returns the provenance quads, which
+ * trace every triple to its source, row and TriplesMap (see provenance.js).
+ */
+async function processCSVWithRML(rmlQuads, inputFiles, options = {}) {
+  const report = createReport(options.policy);
+  const context = prepareMapping(rmlQuads, inputFiles, report, options);
+  const provenance = options.provenance ? createProvenance() : null;
+  const parsedSources = {};
+  const resultQuads = [];
+  
+  // Read the source of every triplesMap first, so referencing object maps
+  // can reach the rows of their parent triplesMap
+  for (const triplesMap of context.triplesMaps.values()) {
+    loadRows(triplesMap, source => inputFiles[source], parsedSources);
+  }
+
+  // Process each row of each triplesMap
+  for (const triplesMap of context.triplesMaps.values()) {
+    const { iri, name, logicalSource } = triplesMap;
+    triplesMap.rows.forEach((row, index) => {
+      const rowQuads = generateRowQuads(triplesMap, row, context, index + 1);
+      if (provenance) addRowProvenance(provenance, { iri, name, source: logicalSource.source }, index + 1, rowQuads);
+      resultQuads.push(...rowQuads);
+    });
+  }
+  enforcePolicy(report);
+
+  // Write results to N-Triples format, without the graphs
   const writer = new N3.Writer({ format: 'N-Triples' });
-  resultQuads.forEach(quad => writer.addQuad(quad));
+  resultQuads.forEach(result => writer.addQuad(result.subject, result.predicate, result.object));
   
   return new Promise((resolve, reject) => {
     writer.end((error, result) => {
       if (error) {
         reject(error);
       } else {
-        resolve(result);
+        const mapped = { triples: result, quads: resultQuads, report };
+        if (provenance) mapped.provenance = provenanceQuads(provenance);
+        resolve(mapped);
       }
     });
   });
 }
 
+/**
+ * Read the rows of a source file one at a time. CSV is parsed incrementally,
+ * JSON and XML documents are parsed as a whole.
+ */
+async function* streamRows(filePath, logicalSource) {
+  if (logicalSource.referenceFormulation !== 'http://semweb.mmlab.be/ns/ql#CSV') {
+    yield* parseLogicalSource(fs.readFileSync(filePath, 'utf8'), logicalSource).rows;
+    return;
+  }
+
+  const parser = fs.createReadStream(filePath).pipe(parseStream(CSV_OPTIONS));
+  for await (const record of parser) {
+    yield nestRecord(record);
+  }
+}
+
+/**
+ * Key of a row: its content, numbered when the same content repeats
+ */
+function rowKey(row, seen) {
+  const content = typeof row.nodeType === 'number' ? row.toString() : JSON.stringify(row);
+  const occurrence = seen.get(content) || 0;
+  seen.set(content, occurrence + 1);
+  return occurrence === 0 ? content : `${content}#${occurrence + 1}`;
+}
+
+/**
+ * Map only the rows that options.include(triplesMapName, key) selects, e.g.
+ * the rows that were added since an earlier run. Rows are keyed by their
+ * content, so a changed row is a removed and an added row. Joins are made
+ * against all rows of the parent sources.
+ * Returns { rows: { [triplesMapName]: [{ key, quads }] }, report, joins } with
+ * every current row, the quads of the selected ones (null for the others) and
+ * the names of the parents that every TriplesMap joins with join conditions,
+ * { [triplesMapName]: [parentName] }: their rows decide the objects of its rows.
+ */
+export async function doMappingRows(rmlString, inputFiles, options = {}) {
+  const { include = () => true } = options;
+  const rmlQuads = parseRMLRules(rmlString);
+  const report = createReport(options.policy);
+  const context = prepareMapping(rmlQuads, inputFiles, report, options);
+  const parsedSources = {};
+  const rows = {};
+  const joins = {};
+
+  for (const triplesMap of context.triplesMaps.values()) {
+    loadRows(triplesMap, source => inputFiles[source], parsedSources);
+  }
+  for (const triplesMap of context.triplesMaps.values()) {
+    const parents = triplesMap.predicateObjectMaps
+      .flatMap(({ objectMaps }) => objectMaps)
+      .filter(objectMap => objectMap.joinConditions?.length > 0 && context.triplesMaps.has(objectMap.parentTriplesMap))
+      .map(objectMap => context.triplesMaps.get(objectMap.parentTriplesMap).name);
+    joins[triplesMap.name] = [...new Set(parents)];
+
+    const seen = new Map();
+    rows[triplesMap.name] = triplesMap.rows.map((row, index) => {
+      const key = rowKey(row, seen);
+      const quads = include(triplesMap.name, key)
+        ? generateRowQuads(triplesMap, row, context, index + 1)
+        : null;
+      return { key, quads };
+    });
+  }
+  enforcePolicy(report);
+
+  return { rows, report, joins };
+}
+
+/**
+ * Generate quads row by row from source files. Only the parents of
+ * referencing object maps with join conditions are held in memory, to build
+ * their join index. With the fail policy the stream fails at the first row
+ * with an issue.
+ */
+async function* generateQuadsIncrementally(rmlQuads, sourceFiles, options) {
+  const { onProgress = reportProgress, progressInterval = 1000 } = options;
+  const report = options.report
+    || createReport(options.policy, { maxIssues: options.maxIssues ?? MAX_STREAMING_ISSUES });
+  const context = prepareMapping(rmlQuads, sourceFiles, report, { streaming: true });
+  const parsedSources = {};
+
+  for (const triplesMap of context.triplesMaps.values()) {
+    for (const { objectMaps } of triplesMap.predicateObjectMaps) {
+      for (const objectMap of objectMaps) {
+        const parent = context.triplesMaps.get(objectMap.parentTriplesMap);
+        if (parent && objectMap.joinConditions.length > 0 && !parent.rows) {
+          loadRows(parent, source => fs.readFileSync(sourceFiles[source], 'utf8'), parsedSources);
+        }
+      }
+    }
+  }
+
+  const progress = { rows: 0, quads: 0, startTime: Date.now() };
+  let lastReport = progress.startTime;
+  const reportStatus = done => {
+    const seconds = (Date.now() - progress.startTime) / 1000;
+    onProgress({
+      rows: progress.rows,
+      quads: progress.quads,
+      rowsPerSecond: seconds > 0 ? Math.round(progress.rows / seconds) : progress.rows,
+      done,
+    });
+  };
+
+  for (const triplesMap of context.triplesMaps.values()) {
+    const filePath = sourceFiles[triplesMap.logicalSource.source];
+    let rowNumber = 0;
+    for await (const row of streamRows(filePath, triplesMap.logicalSource)) {
+      const rowQuads = generateRowQuads(triplesMap, row, context, ++rowNumber);
+      // With the fail policy, the first row with an issue stops the mapping
+      // before its quads are written
+      enforcePolicy(report);
+      progress.rows++;
+      progress.quads += rowQuads.length;
+      yield* rowQuads;
+
+      if (progressInterval && Date.now() - lastReport >= progressInterval) {
+        lastReport = Date.now();
+        reportStatus(false);
+      }
+    }
+  }
+
+  reportStatus(true);
+  enforcePolicy(report);
+}
+
+/**
+ * Default progress report of the streaming mapping
+ */
+function reportProgress({ rows, quads, rowsPerSecond, done }) {
+  const status = done ? 'Mapped' : 'Mapping...';
+  logger.info(`${status} ${rows} rows, ${quads} triples (${rowsPerSecond} rows/s)`);
+}
+
+/**
+ * Map source files to an RDF/JS quad stream, generating quads as rows are
+ * read so memory stays bounded for large CSV files.
+ *
+ * sourceFiles maps the source names used in the mapping to file paths.
+ * options.onProgress receives { rows, quads, rowsPerSecond, done } every
+ * options.progressInterval milliseconds (default 1000, 0 disables it) and
+ * once at the end. The report keeps at most options.maxIssues (default 1000)
+ * issues per TriplesMap and does not check for duplicate subjects.
+ */
+export function doMappingStream(rmlString, sourceFiles, options = {}) {
+  const rmlQuads = parseRMLRules(rmlString);
+  return Readable.from(generateQuadsIncrementally(rmlQuads, sourceFiles, options));
+}
+
+/**
+ * Run the complete mapping process in streaming mode, writing N-Triples to
+ * outputFile as they are generated. With the fail policy the mapping stops at
+ * the first row with an issue, and the output file only holds the triples of
+ * the rows before it.
+ */
+export async function runStreamingMapping(yarmlMapping, sourceFiles, outputFile, options = {}) {
+  try {
+    // Convert YARRRML to RML
+    const rmlString = await convertYarmlToRML(yarmlMapping);
+    const report = createReport(options.policy, { maxIssues: options.maxIssues ?? MAX_STREAMING_ISSUES });
+
+    // Stream the quads through an N-Triples writer into the output file
+    await pipeline(
+      doMappingStream(rmlString, sourceFiles, { ...options, report }),
+      new N3.StreamWriter({ format: 'N-Triples' }),
+      fs.createWriteStream(outputFile)
+    );
+
+    return { rmlMapping: rmlString, outputFile, report };
+  } catch (err) {
+    logger.error("Error during streaming mapping process:", err);
+    throw err;
+  }
+}
+
+/**
+ * Map the input files and return the N-Triples, the quads and the
+ * data-quality report. options.policy decides what happens to rows with
+ * issues: 'emit' (default), 'skip' or 'fail'. options.graphPerSource puts
+ * the quads in the named graph of their source. options.provenance adds the
+ * PROV-O provenance quads of every row as provenance.
+ */
+export async function doMappingWithReport(rmlString, inputFiles, options = {}) {
+  // Parse RML rules
+  const rmlQuads = parseRMLRules(rmlString);
+
+  // Process the mapping
+  return processCSVWithRML(rmlQuads, inputFiles, options);
+}
+
 /**
  * Main mapping function 
  */
-export async function doMapping(rmlString, inputFiles) {
+export async function doMapping(rmlString, inputFiles, options = {}) {
   try {
-    // Parse RML rules
-    const rmlQuads = parseRMLRules(rmlString);
-    
-    // Process the mapping
-    const result = await processCSVWithRML(rmlQuads, inputFiles);
+    const { triples } = await doMappingWithReport(rmlString, inputFiles, options);
     
-    console.log("Generated RDF triples:\n", result);
-    return result;
+    logger.debug(`Generated RDF triples:\n${triples}`);
+    return triples;
   } catch (error) {
-    console.error("Mapping error:", error);
+    logger.error("Mapping error:", error);
     throw error;
   }
 }
 
 /**
  * Run the complete mapping process
+ *
+ * sources maps the source names used in the mapping to file paths, e.g.
+ * { 'calls.csv': './calls.csv', 'rooms.csv': './rooms.csv' }. A single
+ * file can still be passed as runMapping(mapping, csvFilePath, csvFileName).
+ * options are passed on to doMappingWithReport.
  */
-export async function runMapping(yarmlMapping, csvFilePath, csvFileName) {
+export async function runMapping(yarmlMapping, sources, csvFileName, options = {}) {
   try {
-    // Read CSV file
-    const csvContent = fs.readFileSync(csvFilePath, 'utf8');
-    const inputFiles = {
-      [csvFileName]: csvContent
-    };
+    if (typeof sources === 'string') {
+      sources = { [csvFileName]: sources };
+    } else if (csvFileName && typeof csvFileName === 'object') {
+      options = csvFileName;
+    }
+
+    // Read the source files
+    const inputFiles = {};
+    for (const [name, filePath] of Object.entries(sources)) {
+      inputFiles[name] = fs.readFileSync(filePath, 'utf8');
+    }
     
     // Convert YARRRML to RML
     const rmlString = await convertYarmlToRML(yarmlMapping);
     
     // Execute mapping
-    const triples = await doMapping(rmlString, inputFiles);
+    const { triples, report, provenance } = await doMappingWithReport(rmlString, inputFiles, options);
+    logger.debug(`Generated RDF triples:\n${triples}`);
     
-    // Return both the RML mapping and the generated triples
+    // Return the RML mapping, the generated triples, the data-quality report
+    // and, with options.provenance, the provenance quads
     return {
       rmlMapping: rmlString,
-      triples: triples
+      triples: triples,
+      report: report,
+      provenance: provenance
     };
   } catch (err) {
-    console.error("Error during mapping process:", err);
+    logger.error("Error during mapping process:", err);
     throw err;
   }
 }
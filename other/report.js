@@ -0,0 +1,138 @@
+// report.js
+// Data-quality report of a mapping run: issues per TriplesMap and per row.
+// Row numbers count the records of a source from 1, without the CSV header.
+
+export const POLICIES = ['emit', 'skip', 'fail'];
+
+const XSD = 'http://www.w3.org/2001/XMLSchema#';
+
+// Lexical forms of the XSD datatypes that are checked, others are accepted as is
+const lexicalForms = {
+  [XSD + 'integer']: /^[+-]?\d+$/,
+  [XSD + 'int']: /^[+-]?\d+$/,
+  [XSD + 'long']: /^[+-]?\d+$/,
+  [XSD + 'nonNegativeInteger']: /^\+?\d+$/,
+  [XSD + 'decimal']: /^[+-]?(\d+(\.\d*)?|\.\d+)$/,
+  [XSD + 'double']: /^([+-]?(\d+(\.\d*)?|\.\d+)([eE][+-]?\d+)?|[+-]?INF|NaN)$/,
+  [XSD + 'float']: /^([+-]?(\d+(\.\d*)?|\.\d+)([eE][+-]?\d+)?|[+-]?INF|NaN)$/,
+  [XSD + 'boolean']: /^(true|false|1|0)$/,
+  [XSD + 'date']: /^-?\d{4,}-\d{2}-\d{2}(Z|[+-]\d{2}:\d{2})?$/,
+  [XSD + 'dateTime']: /^-?\d{4,}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?(Z|[+-]\d{2}:\d{2})?$/,
+  [XSD + 'time']: /^\d{2}:\d{2}:\d{2}(\.\d+)?(Z|[+-]\d{2}:\d{2})?$/,
+};
+
+/**
+ * Check a literal value against the lexical form of its datatype. Dates must
+ * also be real calendar dates (no 2025-02-30).
+ */
+export function isValidLexicalForm(value, datatype) {
+  const lexicalForm = lexicalForms[datatype];
+  if (!lexicalForm) return true;
+  if (!lexicalForm.test(value)) return false;
+
+  if (datatype === XSD + 'date' || datatype === XSD + 'dateTime') {
+    const [, year, month, day] = value.match(/^(-?\d{4,})-(\d{2})-(\d{2})/);
+    const date = new Date(Date.UTC(Number(year), Number(month) - 1, Number(day)));
+    if (date.getUTCMonth() !== Number(month) - 1 || date.getUTCDate() !== Number(day)) return false;
+  }
+  if (datatype === XSD + 'dateTime' || datatype === XSD + 'time') {
+    const [, hours, minutes, seconds] = value.match(/(\d{2}):(\d{2}):(\d{2})/);
+    if (Number(hours) > 23 || Number(minutes) > 59 || Number(seconds) > 59) return false;
+  }
+  return true;
+}
+
+/**
+ * Create an empty report for a policy:
+ * - emit: generate every triple as before and only report the issues
+ * - skip: leave out the triples with an issue, or the whole row when its subject has one
+ * - fail: report all issues, then fail the mapping
+ * options.maxIssues caps the issues kept per TriplesMap, the others are only
+ * counted in omittedIssues.
+ */
+export function createReport(policy = 'emit', options = {}) {
+  if (!POLICIES.includes(policy)) {
+    throw new Error(`Unknown mapping report policy '${policy}', expected one of ${POLICIES.join(', ')}`);
+  }
+  const { maxIssues } = options;
+  return {
+    policy,
+    ...(maxIssues !== undefined && { maxIssues }),
+    summary: { rows: 0, rowsWithIssues: 0, skippedRows: 0, issues: 0 },
+    triplesMaps: {},
+  };
+}
+
+/**
+ * Get the section of the report for a TriplesMap
+ */
+export function getTriplesMapReport(report, name) {
+  if (!report.triplesMaps[name]) {
+    report.triplesMaps[name] = { rows: 0, rowsWithIssues: 0, skippedRows: 0, issues: [], omittedIssues: 0 };
+  }
+  return report.triplesMaps[name];
+}
+
+/**
+ * Add an issue to the report
+ */
+export function addIssue(report, name, issue) {
+  const triplesMapReport = getTriplesMapReport(report, name);
+  if (report.maxIssues === undefined || triplesMapReport.issues.length < report.maxIssues) {
+    triplesMapReport.issues.push(issue);
+  } else {
+    triplesMapReport.omittedIssues++;
+  }
+  report.summary.issues++;
+}
+
+/**
+ * Count a mapped row, and whether it had issues or was skipped
+ */
+export function countRow(report, name, { hasIssues, skipped }) {
+  const triplesMapReport = getTriplesMapReport(report, name);
+  for (const counts of [report.summary, triplesMapReport]) {
+    counts.rows++;
+    if (hasIssues) counts.rowsWithIssues++;
+    if (skipped) counts.skippedRows++;
+  }
+}
+
+/**
+ * Throw when the policy is fail and the report has issues
+ */
+export function enforcePolicy(report) {
+  if (report.policy === 'fail' && report.summary.issues > 0) {
+    const error = new Error(
+      `Mapping validation failed: ${report.summary.issues} issues in ${report.summary.rowsWithIssues} rows`
+    );
+    error.report = report;
+    throw error;
+  }
+}
+
+/**
+ * Format the report as a readable console summary, listing at most
+ * maxIssues issues per TriplesMap
+ */
+export function formatReport(report, maxIssues = 10) {
+  const { summary } = report;
+  const lines = [
+    `Mapping report (policy: ${report.policy}): ${summary.rows} rows, ` +
+      `${summary.rowsWithIssues} with issues, ${summary.issues} issues, ${summary.skippedRows} rows skipped`,
+  ];
+
+  for (const [name, triplesMapReport] of Object.entries(report.triplesMaps)) {
+    const issues = triplesMapReport.issues.length + (triplesMapReport.omittedIssues || 0);
+    lines.push(`  ${name}: ${triplesMapReport.rows} rows, ${issues} issues`);
+    triplesMapReport.issues.slice(0, maxIssues).forEach(issue => {
+      const where = issue.row === undefined ? '' : `row ${issue.row}: `;
+      lines.push(`    ${where}${issue.message}`);
+    });
+    if (issues > maxIssues) {
+      lines.push(`    ... ${issues - maxIssues} more`);
+    }
+  }
+
+  return lines.join('\n');
+}
@@ -0,0 +1,105 @@
+// temporal.js
+// Temporal utilities for calls with an xsd:dateTime tv:hasTimeStamp: the time
+// between calls, "within N minutes of" and shifts. They back the time: and
+// math: date builtins of the JavaScript reasoner and the tfn: SPARQL functions;
+// rules/temporal/ has the matching N3 rules for ordering and repeated calls.
+import * as N3 from 'n3';
+
+const { literal, namedNode } = N3.DataFactory;
+
+export const TFN = 'http://televic.health.be/function/temporal#';
+const XSD = 'http://www.w3.org/2001/XMLSchema#';
+
+/**
+ * Start hours of the day and night shifts
+ */
+export const DEFAULT_SHIFTS = { day: 7, night: 19 };
+
+const DATE_TIME = /^(-?\d{4,})-(\d{2})-(\d{2})T(\d{2}):(\d{2}):(\d{2}(?:\.\d+)?)(Z|[+-]\d{2}:\d{2})?$/;
+
+// Lexical form of a literal or string
+const lexical = value => (typeof value === 'string' ? value : value?.value || '');
+
+/**
+ * The fields of an xsd:dateTime (a literal or its lexical form) as written,
+ * so the hour is the local hour of the call; null for other values
+ */
+export function parseDateTime(value) {
+  const match = DATE_TIME.exec(lexical(value));
+  if (!match) return null;
+  const [, year, month, day, hour, minute, second, timezone] = match;
+  return {
+    year: Number(year),
+    month: Number(month),
+    day: Number(day),
+    hour: Number(hour),
+    minute: Number(minute),
+    second: Number(second),
+    timezone: timezone || null,
+  };
+}
+
+/**
+ * Seconds since the epoch of an xsd:dateTime, NaN for other values. A
+ * dateTime without timezone is read as UTC, so calls.csv times compare the
+ * same on every machine.
+ */
+export function toSeconds(value) {
+  const text = lexical(value);
+  const parsed = parseDateTime(text);
+  if (!parsed) return NaN;
+  return Date.parse(parsed.timezone ? text : `${text}Z`) / 1000;
+}
+
+/**
+ * Seconds from one dateTime to another, negative when `to` is earlier
+ */
+export function secondsBetween(from, to) {
+  return toSeconds(to) - toSeconds(from);
+}
+
+/**
+ * Whether two dateTimes are at most `minutes` apart, in either order
+ */
+export function withinMinutes(first, second, minutes) {
+  return Math.abs(secondsBetween(first, second)) <= minutes * 60;
+}
+
+/**
+ * The shift of a dateTime, 'day' or 'night', by the local hour of the call;
+ * null for other values
+ */
+export function shiftOf(value, shifts = DEFAULT_SHIFTS) {
+  const parsed = parseDateTime(value);
+  if (!parsed) return null;
+  return parsed.hour >= shifts.day && parsed.hour < shifts.night ? 'day' : 'night';
+}
+
+// A number as an xsd:integer or xsd:decimal literal
+function numberLiteral(number) {
+  if (!Number.isFinite(number)) throw new Error(`Not a number: ${number}`);
+  return literal(String(number), namedNode(XSD + (Number.isInteger(number) ? 'integer' : 'decimal')));
+}
+
+/**
+ * SPARQL extension functions by IRI, with the tfn: prefix:
+ * - tfn:secondsBetween(?from, ?to) and tfn:minutesBetween(?from, ?to)
+ * - tfn:withinMinutes(?first, ?second, ?minutes), a boolean
+ * - tfn:shift(?dateTime), "day" or "night"
+ * Arguments that are not dateTimes are an error, which leaves the result unbound.
+ */
+export const TEMPORAL_SPARQL_FUNCTIONS = {
+  [TFN + 'secondsBetween']: ([from, to]) => numberLiteral(secondsBetween(from, to)),
+  [TFN + 'minutesBetween']: ([from, to]) => numberLiteral(secondsBetween(from, to) / 60),
+  [TFN + 'withinMinutes']: ([first, second, minutes]) => {
+    if (Number.isNaN(secondsBetween(first, second)) || Number.isNaN(Number(minutes?.value))) {
+      throw new Error('tfn:withinMinutes expects two dateTimes and a number of minutes');
+    }
+    return literal(String(withinMinutes(first, second, Number(minutes.value))), namedNode(XSD + 'boolean'));
+  },
+  [TFN + 'shift']: ([value]) => {
+    const shift = shiftOf(value);
+    if (!shift) throw new Error(`tfn:shift expects a dateTime, got ${value?.value}`);
+    return literal(shift);
+  },
+};
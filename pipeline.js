@@ -0,0 +1,957 @@
+// pipeline.js
+import fs from 'fs';
+import path from 'path';
+import YAML from 'yaml';
+import * as N3 from 'n3';
+import {
+  runYarrrmlMapping,
+  runShaclValidation,
+  runSparqlQuery,
+  buildDataset,
+  ASSERTED_GRAPH,
+  INFERRED_GRAPH,
+  bindingsToRows,
+  formatRows,
+  serializeQuads,
+  formatForFile,
+  getPrefixes,
+  getSparqlPrefixes,
+  formatQueryResult,
+  resultFormatForFile,
+  loadRules,
+  RULES_DIR,
+  buildProofTree,
+  formatProofTree,
+  getProofConclusions,
+  jsonLdToQuads,
+} from './helpers.js';
+import { runReasoner, diffReasonerResults, formatReasonerDiff } from './reasoners.js';
+import {
+  convertYarmlToRML,
+  doMappingWithReport,
+  formatReport,
+  runStreamingMapping,
+} from './other/rdf-processor.js';
+import { restrictProvenance, KGPROV } from './other/provenance.js';
+import { runIncrementalUpdate, formatIncrementalChanges } from './incremental.js';
+import { readEvents, eventToCsv, runContinuousQueries } from './stream.js';
+import { serveSparql } from './server.js';
+import { openQuadStore, replaceTriples, loadQuads, describeQuadStore } from './quadstore.js';
+import { logger } from './logger.js';
+import { measureStage } from './metrics.js';
+
+// Resolve a (possibly relative) path against the pipeline directory
+function resolvePath(baseDir, file) {
+  return file ? path.resolve(baseDir, file) : file;
+}
+
+// Resolve the extra outputs of a stage: a file, or { file, format, context }
+// The format defaults to the one of the file extension; a JSON-LD context is
+// a file or an inline object. setting names the outputs in config errors.
+function resolveOutputs(baseDir, outputs = [], setting) {
+  return (Array.isArray(outputs) ? outputs : [outputs]).map(output => {
+    const { file, format, context } = typeof output === 'string' ? { file: output } : output || {};
+    if (typeof file !== 'string' || !file) {
+      throw new Error(`Every entry of '${setting}' needs a file, got ${JSON.stringify(output)}`);
+    }
+    return {
+      file: resolvePath(baseDir, file),
+      format: format || formatForFile(file),
+      context: typeof context === 'string' ? resolvePath(baseDir, context) : context,
+    };
+  });
+}
+
+// Function to resolve all paths of a pipeline definition against baseDir
+// Sections that are left out of the definition are left out of the result
+export function resolvePipeline(definition, baseDir = process.cwd()) {
+  const pipeline = {};
+
+  if (definition.mapping) {
+    const {
+      file,
+      mapper = 'rmlmapper-js',
+      streaming = false,
+      policy = 'emit',
+      sources = {},
+      output,
+      outputs,
+      graphPerSource = false,
+      report,
+      provenance,
+    } = definition.mapping;
+    pipeline.mapping = {
+      file: resolvePath(baseDir, file),
+      mapper,
+      streaming,
+      policy,
+      report: resolvePath(baseDir, report),
+      sources: Object.fromEntries(
+        Object.entries(sources).map(([name, source]) => [name, resolvePath(baseDir, source)])
+      ),
+      output: resolvePath(baseDir, output),
+      outputs: resolveOutputs(baseDir, outputs, 'mapping.outputs'),
+      graphPerSource,
+      provenance: provenance ? resolveOutputs(baseDir, [provenance], 'mapping.provenance')[0] : undefined,
+    };
+  }
+
+  if (definition.validation) {
+    const { data, shapes = [], report, onViolation = 'stop' } = definition.validation;
+    pipeline.validation = {
+      data: resolvePath(baseDir, data),
+      shapes: (Array.isArray(shapes) ? shapes : [shapes]).map(shape => resolvePath(baseDir, shape)),
+      report: resolvePath(baseDir, report),
+      onViolation,
+    };
+  }
+
+  if (definition.reasoning) {
+    const {
+      data,
+      rules = [],
+      modules = [],
+      disable = [],
+      ruleDirectory,
+      reasoner = 'eye',
+      compareWith,
+      mode = 'derivations',
+      query,
+      input,
+      output,
+      outputs,
+    } = definition.reasoning;
+    pipeline.reasoning = {
+      data: resolvePath(baseDir, data),
+      rules: (Array.isArray(rules) ? rules : [rules]).map(rule => resolvePath(baseDir, rule)),
+      modules: Array.isArray(modules) ? modules : [modules],
+      disable: Array.isArray(disable) ? disable : [disable],
+      ruleDirectory: resolvePath(baseDir, ruleDirectory),
+      reasoner,
+      compareWith,
+      mode,
+      query: resolvePath(baseDir, query),
+      input: resolvePath(baseDir, input),
+      output: resolvePath(baseDir, output),
+      outputs: resolveOutputs(baseDir, outputs, 'reasoning.outputs'),
+    };
+  }
+
+  if (definition.query) {
+    const { file, data, inferred, useReasoningResults = true, format, output, writeBack = false } = definition.query;
+    pipeline.query = {
+      file: resolvePath(baseDir, file),
+      data: resolvePath(baseDir, data),
+      inferred: resolvePath(baseDir, inferred),
+      useReasoningResults,
+      format,
+      output: resolvePath(baseDir, output),
+      writeBack,
+    };
+  }
+
+  if (definition.stream) {
+    const {
+      source,
+      follow = true,
+      columns,
+      mappingSource,
+      timestamp = 'timestamp',
+      window = {},
+      queries = [],
+      reasoning = true,
+      emit = 'changes',
+      output,
+    } = definition.stream;
+    pipeline.stream = {
+      // '-' is stdin and tcp://host:port a socket, anything else a file
+      source: source === '-' || source?.startsWith('tcp://') ? source : resolvePath(baseDir, source),
+      follow,
+      columns,
+      mappingSource,
+      timestamp,
+      window,
+      queries: (Array.isArray(queries) ? queries : [queries]).map(query => resolvePath(baseDir, query)),
+      reasoning,
+      emit,
+      output: resolvePath(baseDir, output),
+    };
+  }
+
+  if (definition.dataset) {
+    const { outputs = [] } = definition.dataset;
+    pipeline.dataset = {
+      outputs: resolveOutputs(baseDir, outputs, 'dataset.outputs'),
+    };
+  }
+
+  if (definition.store) {
+    const { path: directory } = definition.store;
+    pipeline.store = {
+      path: resolvePath(baseDir, directory),
+    };
+  }
+
+  if (definition.serve) {
+    const { port = 3030, host = 'localhost', graphStore = false, update = false, cors } = definition.serve;
+    pipeline.serve = { port, host, graphStore, update, cors };
+  }
+
+  if (definition.metrics) {
+    const { output } = definition.metrics;
+    pipeline.metrics = {
+      output: resolvePath(baseDir, output),
+    };
+  }
+
+  if (definition.incremental) {
+    const { state } = definition.incremental;
+    pipeline.incremental = {
+      state: resolvePath(baseDir, state),
+    };
+  }
+
+  return pipeline;
+}
+
+// Function to load a pipeline definition file (YAML, or JSON as a subset of it)
+export function loadPipeline(pipelineFile) {
+  const definition = YAML.parse(fs.readFileSync(pipelineFile, 'utf8')) || {};
+  return resolvePipeline(definition, path.dirname(path.resolve(pipelineFile)));
+}
+
+// Fail with an error naming the pipeline setting a stage is missing
+function requireSetting(value, setting) {
+  if (!value || (Array.isArray(value) && value.length === 0)) {
+    throw new Error(`Pipeline setting '${setting}' is required for this stage`);
+  }
+  return value;
+}
+
+// Read a file a stage depends on
+function readRequired(file, setting) {
+  return fs.readFileSync(requireSetting(file, setting), 'utf8');
+}
+
+// Parse an N-Triples/N3 file into an N3 Store
+// An EYE proof is read as the triples it concludes
+function readStore(file) {
+  const store = new N3.Store();
+  store.addQuads(new N3.Parser({ format: 'text/n3' }).parse(fs.readFileSync(file, 'utf8')));
+  const conclusions = getProofConclusions(store);
+  return conclusions.length > 0 ? new N3.Store(conclusions) : store;
+}
+
+// The persistent quad store of the pipeline, opened on first use, if it has one
+function pipelineStore(pipeline) {
+  return pipeline.store?.path ? openQuadStore(pipeline.store.path) : undefined;
+}
+
+// Replace the asserted or inferred triples of the quad store of the pipeline
+async function writeToStore(pipeline, kind, quads) {
+  const store = await pipelineStore(pipeline);
+  if (!store) return;
+  const { added, removed } = await replaceTriples(store, kind, quads);
+  logger.info(`Quad store ${pipeline.store.path}: ${kind} triples replaced (+${added} -${removed})`);
+}
+
+// The quads of the named graphs of the quad store that keep(graph IRI) accepts
+async function namedGraphQuads(store, keep = () => true) {
+  const graphs = [...(await store.countGraphs()).keys()].filter(graph => graph !== '' && keep(graph));
+  const quads = [];
+  for (const graph of graphs) quads.push(...await store.getQuads(null, null, null, N3.DataFactory.namedNode(graph)));
+  return quads;
+}
+
+// Prefixes declared in the YARRRML mapping
+function mappingPrefixes(mappingYARRRML) {
+  return YAML.parse(mappingYARRRML)?.prefixes || {};
+}
+
+// Prefixes of the mapping of a pipeline, if it has one
+function pipelinePrefixes(pipeline) {
+  return pipeline.mapping?.file ? mappingPrefixes(fs.readFileSync(pipeline.mapping.file, 'utf8')) : {};
+}
+
+// Write quads to the extra outputs of a stage, each in its own format
+async function writeOutputs(outputs = [], quads, prefixes) {
+  for (const { file, format, context } of outputs) {
+    const jsonLdContext = typeof context === 'string'
+      ? JSON.parse(fs.readFileSync(context, 'utf8'))
+      : context;
+    fs.writeFileSync(file, await serializeQuads(quads, format, { prefixes, context: jsonLdContext }), 'utf8');
+    logger.info(`${format} output saved to ${file}`);
+  }
+}
+
+// Print the data-quality report of the mapping and save it when asked
+function writeMappingReport(mapping, report) {
+  logger.info(formatReport(report));
+  if (mapping.report) {
+    fs.writeFileSync(mapping.report, JSON.stringify(report, null, 2), 'utf8');
+    logger.info(`Mapping report saved to ${mapping.report}`);
+  }
+}
+
+// Run a mapping step, reporting its data quality also when the policy fails it
+async function withMappingReport(mapping, step) {
+  try {
+    const result = await step();
+    if (result.report) writeMappingReport(mapping, result.report);
+    return result;
+  } catch (error) {
+    if (error.report) writeMappingReport(mapping, error.report);
+    throw error;
+  }
+}
+
+// Function to map sources held in memory with a YARRRML mapping, writing no files
+// inputFiles maps the source names used in the mapping to their contents.
+// options.mapper is 'rmlmapper-js' (default) or 'own', options.policy the
+// policy for rows with data-quality issues; options.report and
+// options.provenance ask for the report and the PROV-O provenance quads.
+// Returns { triples, quads, report, provenance }: the N-Triples, with the own
+// mapper the quads in the named graph of their source, and the report (always
+// with the own mapper) and provenance when there are.
+export async function mapContents(mappingYARRRML, inputFiles, options = {}) {
+  const { mapper = 'rmlmapper-js', policy = 'emit', report = false, provenance = false } = options;
+  if (mapper !== 'own' && mapper !== 'rmlmapper-js') {
+    throw new Error(`Unknown mapper '${mapper}', expected 'rmlmapper-js' or 'own'`);
+  }
+
+  if (mapper === 'own') {
+    // Dependency-light mapper in other/rdf-processor.js, which also produces the data-quality report
+    const rmlMapping = await convertYarmlToRML(mappingYARRRML);
+    return doMappingWithReport(rmlMapping, inputFiles, { policy, graphPerSource: true, provenance });
+  }
+
+  // rmlmapper-js has no report or provenance, so the own mapper runs the same
+  // RML first when they are asked for; it cannot leave out the rows with issues
+  if (policy === 'skip') {
+    throw new Error("Mapping policy 'skip' requires 'mapping.mapper: own'");
+  }
+  let checked = {};
+  if (policy === 'fail' || report || provenance) {
+    const rmlMapping = await convertYarmlToRML(mappingYARRRML);
+    checked = await doMappingWithReport(rmlMapping, inputFiles, { policy, provenance });
+  }
+  const triples = await runYarrrmlMapping(mappingYARRRML, inputFiles);
+  if (!checked.provenance) return { triples, report: checked.report };
+
+  // Only the triples that rmlmapper-js generated as well are traced
+  const restricted = restrictProvenance(checked.provenance, new N3.Parser().parse(triples));
+  if (restricted.untraced > 0) {
+    logger.warn(`Provenance: ${restricted.untraced} of ${restricted.traced + restricted.untraced} triples could not be traced to a row (blank nodes, or not generated by the own mapper)`);
+  }
+  return { triples, report: checked.report, provenance: restricted.quads };
+}
+
+// Map the sources of the mapping stage into { triples, quads, provenance, report }:
+// the N-Triples, with the own mapper the quads in the named graph of their
+// source, with mapping.provenance the PROV-O quads that are written to that
+// output, and the data-quality report when there is one
+async function mapSources(pipeline) {
+  const mapping = pipeline.mapping || {};
+  const mappingYARRRML = readRequired(mapping.file, 'mapping.file');
+  const policy = mapping.policy || 'emit';
+
+  if (mapping.mapper !== 'own' && mapping.mapper !== 'rmlmapper-js') {
+    throw new Error(`Unknown mapper '${mapping.mapper}', expected 'rmlmapper-js' or 'own'`);
+  }
+  if (mapping.graphPerSource && mapping.mapper !== 'own') {
+    throw new Error("A named graph per source requires 'mapping.mapper: own'");
+  }
+
+  if (mapping.provenance && ['ntriples', 'turtle'].includes(mapping.provenance.format)) {
+    throw new Error(`Provenance output ${mapping.provenance.file} must be N-Quads, TriG or JSON-LD to keep the row graphs`);
+  }
+
+  if (mapping.streaming) {
+    if (mapping.mapper !== 'own') {
+      throw new Error("Streaming mapping requires 'mapping.mapper: own'");
+    }
+    if (mapping.provenance) {
+      throw new Error("Provenance is not recorded in streaming mapping, leave out 'mapping.streaming'");
+    }
+    if (mapping.outputs?.length > 0 || mapping.graphPerSource) {
+      throw new Error("Streaming mapping only writes N-Triples to 'mapping.output'");
+    }
+    const output = requireSetting(mapping.output, 'mapping.output');
+    const { report } = await withMappingReport(mapping, () =>
+      runStreamingMapping(mappingYARRRML, mapping.sources || {}, output, { policy }));
+    logger.info(`N-Triples mapping saved to ${output}`);
+    if (pipeline.store) {
+      await writeToStore(pipeline, 'asserted', new N3.Parser().parse(fs.readFileSync(output, 'utf8')));
+    }
+    return { report };
+  }
+
+  const inputFiles = {};
+  for (const [name, source] of Object.entries(mapping.sources || {})) {
+    inputFiles[name] = fs.readFileSync(source, 'utf8');
+  }
+
+  const { triples, quads, provenance, report } = await withMappingReport(mapping, () =>
+    mapContents(mappingYARRRML, inputFiles, {
+      mapper: mapping.mapper,
+      policy,
+      report: Boolean(mapping.report),
+      provenance: Boolean(mapping.provenance),
+    }));
+
+  if (mapping.output) {
+    fs.writeFileSync(mapping.output, triples, 'utf8');
+    logger.info(`N-Triples mapping saved to ${mapping.output}`);
+  }
+  if (mapping.outputs?.length > 0) {
+    // The outputs only keep the source graphs with mapping.graphPerSource
+    const outputQuads = quads && mapping.graphPerSource ? quads : new N3.Parser().parse(triples);
+    await writeOutputs(mapping.outputs, outputQuads, mappingPrefixes(mappingYARRRML));
+  }
+  if (provenance) {
+    await writeOutputs([mapping.provenance], provenance, {
+      ...mappingPrefixes(mappingYARRRML),
+      prov: 'http://www.w3.org/ns/prov#',
+      kgprov: KGPROV,
+    });
+  }
+  if (pipeline.store) {
+    await writeToStore(pipeline, 'asserted', quads || new N3.Parser().parse(triples));
+  }
+  return { triples, quads, provenance, report };
+}
+
+// Function to run the mapping stage, returning N-Triples
+// mapping.output is N-Triples, mapping.outputs are written in their own format.
+// With a quad store, the triples replace its asserted triples.
+// Streaming mode only writes mapping.output and returns nothing, so the later
+// stages read the triples from there.
+export async function runMapStage(pipeline) {
+  return (await measureStage('map', () => mapSources(pipeline))).triples;
+}
+
+// Function to validate triples held in memory against SHACL shapes, writing no
+// files: returns the result of runShaclValidation, or fails with it as
+// validation on sh:Violation results unless options.onViolation is 'continue'.
+// options.print is that of runShaclValidation.
+export async function validateContents(triples, shapes, options = {}) {
+  const { onViolation = 'stop', print = true } = options;
+  const result = await runShaclValidation(triples, shapes, { print });
+  const violations = result.results.filter(item => item.severity === 'Violation');
+  if (violations.length > 0 && onViolation !== 'continue') {
+    const error = new Error(`SHACL validation failed with ${violations.length} violations`);
+    error.validation = result;
+    throw error;
+  }
+  return result;
+}
+
+// Function to run the SHACL validation stage, returning the validation results
+// Without triples from a previous stage, validation.data (or mapping.output) is read.
+// Fails on sh:Violation results unless validation.onViolation is 'continue'
+// (see validateContents), after writing validation.report.
+async function validateStage(pipeline, triples) {
+  const validation = pipeline.validation || {};
+  if (triples === undefined) {
+    triples = readRequired(validation.data || pipeline.mapping?.output, 'validation.data');
+  }
+
+  const shapes = requireSetting(validation.shapes, 'validation.shapes')
+    .map(shape => fs.readFileSync(shape, 'utf8'))
+    .join('\n');
+  // The report is written before a violation stops the pipeline
+  const writeReport = result => {
+    if (!validation.report) return;
+    fs.writeFileSync(validation.report, result.reportTurtle, 'utf8');
+    logger.info(`SHACL validation report saved to ${validation.report}`);
+  };
+  try {
+    const result = await validateContents(triples, shapes, { onViolation: validation.onViolation });
+    writeReport(result);
+    return result;
+  } catch (error) {
+    if (error.validation) writeReport(error.validation);
+    throw error;
+  }
+}
+
+// Function to run the SHACL validation stage, logging its duration and metrics (see validateStage)
+export async function runValidateStage(pipeline, triples) {
+  return measureStage('validate', () => validateStage(pipeline, triples));
+}
+
+// Read the rules of the reasoning stage, with the prefixes of the mapping and the rules
+function readReasoningRules(pipeline) {
+  const reasoning = pipeline.reasoning || {};
+  if (!reasoning.modules?.length) {
+    requireSetting(reasoning.rules, 'reasoning.rules or reasoning.modules');
+  }
+  const rules = loadRules({
+    files: reasoning.rules || [],
+    modules: reasoning.modules || [],
+    disable: reasoning.disable || [],
+    directory: reasoning.ruleDirectory || RULES_DIR,
+  });
+  const prefixes = {
+    ...pipelinePrefixes(pipeline),
+    ...getPrefixes(rules),
+  };
+  return { rules, prefixes };
+}
+
+// Function to run the reasoning stage, returning the inferred triples as an N3 Store
+// The rules are the reasoning.rules files and directories plus the
+// reasoning.modules of the rule library, without the reasoning.disable modules.
+// reasoning.reasoner picks the reasoner of reasoners.js (default eye) and
+// reasoning.mode one of its modes; in proof mode the proof is printed as a tree
+// and saved to reasoning.output, and the inferred triples are returned.
+// With reasoning.compareWith the rules are also run with that reasoner, and the
+// stage fails when the two disagree.
+// Without triples from a previous stage, the asserted triples of the quad
+// store are used, or else reasoning.data (or mapping.output) is read. With a
+// quad store, the inferred triples replace those of the store.
+// The proof tree and reasoning.outputs use the prefixes of the mapping and the rules.
+async function reasonStage(pipeline, triples) {
+  const reasoning = pipeline.reasoning || {};
+  const mode = reasoning.mode || 'derivations';
+  const quadStore = await pipelineStore(pipeline);
+  if (triples === undefined && quadStore && !reasoning.data) {
+    triples = await serializeQuads(await quadStore.getQuads(null, null, null, N3.DataFactory.namedNode(ASSERTED_GRAPH)), 'ntriples');
+  } else if (triples === undefined) {
+    triples = readRequired(reasoning.data || pipeline.mapping?.output, 'reasoning.data');
+  }
+
+  const { rules, prefixes } = readReasoningRules(pipeline);
+
+  const reasoner = reasoning.reasoner || 'eye';
+  const query = mode === 'query' ? readRequired(reasoning.query, 'reasoning.query') : undefined;
+  let store = await runReasoner(reasoner, triples, rules, {
+    mode,
+    query,
+    inputFile: reasoning.input || false,
+    outputFile: reasoning.output || false,
+  });
+
+  if (mode === 'proof') {
+    logger.info("\nProof of the inferred triples:");
+    logger.info(formatProofTree(buildProofTree(store, prefixes)));
+    store = new N3.Store(getProofConclusions(store));
+  }
+
+  if (reasoning.compareWith) {
+    // A proof is compared by the triples it concludes, so the derivations of the other reasoner
+    const other = await runReasoner(reasoning.compareWith, triples, rules, {
+      mode: mode === 'proof' ? 'derivations' : mode,
+      query,
+      inputFile: false,
+      outputFile: false,
+    });
+    const diff = diffReasonerResults({ [reasoner]: store, [reasoning.compareWith]: other });
+    logger.info(formatReasonerDiff(diff));
+    if (!diff.equal) {
+      const error = new Error(`Reasoners ${reasoner} and ${reasoning.compareWith} disagree`);
+      error.diff = diff;
+      throw error;
+    }
+  }
+
+  if (reasoning.outputs?.length > 0) {
+    await writeOutputs(reasoning.outputs, store.getQuads(null, null, null, null), prefixes);
+  }
+  if (quadStore) {
+    await writeToStore(pipeline, 'inferred', store.getQuads(null, null, null, null));
+  }
+  return store;
+}
+
+// Function to run the reasoning stage, logging its duration and metrics (see reasonStage)
+export async function runReasonStage(pipeline, triples) {
+  return measureStage('reason', () => reasonStage(pipeline, triples));
+}
+
+// Function to run the query stage
+// Without results from previous stages, query.data and query.inferred are read.
+// The query runs over the dataset of runSparqlQuery: the mapped triples are
+// also in <urn:graph:asserted> (and in the graph of their source with the own
+// mapper), the reasoning results in <urn:graph:inferred>.
+// SELECT, ASK, CONSTRUCT, DESCRIBE and UPDATE queries are supported:
+// - query.format is the format of the results: table (default), json, xml,
+//   csv or tsv for SELECT and ASK, an output format for CONSTRUCT and DESCRIBE
+// - query.output saves the results in query.format or the format of its
+//   extension (the console then shows the table), or the whole graph after an
+//   UPDATE
+// - query.writeBack writes CONSTRUCT and DESCRIBE results, or the changes of
+//   an UPDATE, into the data file (query.data or mapping.output), so later
+//   runs build on them
+// With a quad store and no triples from previous stages (or query.data), the
+// store is queried as it is, and query.writeBack writes into the store;
+// UPDATE queries need query.writeBack there.
+async function queryStage(pipeline, triples, reasoningResults) {
+  const query = pipeline.query || {};
+  const sparqlQuery = readRequired(query.file, 'query.file');
+  const dataFile = query.data || pipeline.mapping?.output;
+  const useReasoningResults = query.useReasoningResults;
+
+  const quadStore = triples === undefined && !query.data ? await pipelineStore(pipeline) : undefined;
+  if (quadStore) {
+    // Without the reasoning results, a dataset of the asserted triples of the store
+    triples = useReasoningResults
+      ? quadStore
+      : buildDataset(await namedGraphQuads(quadStore, graph => graph !== INFERRED_GRAPH), [], { defaultGraph: 'asserted' });
+  } else if (triples === undefined) {
+    triples = readRequired(dataFile, 'query.data');
+  }
+
+  if (!quadStore && useReasoningResults && reasoningResults === undefined) {
+    const inferred = query.inferred || pipeline.reasoning?.output;
+    reasoningResults = readStore(requireSetting(inferred, 'query.inferred'));
+  }
+
+  // The console shows the table view when the results also go to a file
+  const prefixes = { ...pipelinePrefixes(pipeline), ...getSparqlPrefixes(sparqlQuery) };
+  let result;
+  try {
+    result = await runSparqlQuery(triples, sparqlQuery, reasoningResults, useReasoningResults, {
+      writeBack: query.writeBack,
+      readOnly: Boolean(quadStore) && !query.writeBack,
+      prefixes,
+      format: query.output ? undefined : query.format,
+    });
+  } catch (error) {
+    if (!error.update) throw error;
+    throw new Error("UPDATE queries change the quad store, set 'query.writeBack' to apply them");
+  }
+  if (query.writeBack && result.type !== 'quads' && result.type !== 'update') {
+    throw new Error("'query.writeBack' needs a CONSTRUCT, DESCRIBE or UPDATE query");
+  }
+
+  if (query.output && (result.type === 'bindings' || result.type === 'boolean')) {
+    const format = query.format || resultFormatForFile(query.output);
+    fs.writeFileSync(query.output, await formatQueryResult(result, format, { prefixes }), 'utf8');
+    logger.info(`${format} query results saved to ${query.output}`);
+  } else if (query.output) {
+    const quads = result.type === 'quads'
+      ? result.quads
+      : await result.store.getQuads(null, null, null, N3.DataFactory.defaultGraph());
+    await writeOutputs(resolveOutputs(process.cwd(), { file: query.output, format: query.format }, 'query.output'), quads, prefixes);
+  }
+  if (query.writeBack && quadStore) {
+    // Without the reasoning results, the query ran on a copy of the asserted triples
+    await writeBackResult(quadStore, result, { inserted: triples !== quadStore });
+    logger.info(`Query results written to the quad store ${pipeline.store.path}`);
+  } else if (query.writeBack) {
+    requireSetting(dataFile, 'query.data');
+    const graph = new N3.Store(new N3.Parser().parse(triples));
+    // The asserted and inferred graphs are copies, made again by every query
+    await writeBackResult(graph, result, { skipGraphs: [ASSERTED_GRAPH, INFERRED_GRAPH] });
+    fs.writeFileSync(dataFile, await serializeQuads(graph.getQuads(null, null, null, null), formatForFile(dataFile), { prefixes }), 'utf8');
+    logger.info(`Query results written back to ${dataFile}`);
+  }
+  return result;
+}
+
+// Function to write the result of a query into the store of the queried data:
+// CONSTRUCT and DESCRIBE results are added, and so are the triples an UPDATE
+// inserted, except in options.skipGraphs or when options.inserted is false
+// (they are already there). A triple an UPDATE deleted from the default graph,
+// <urn:graph:asserted> or <urn:graph:inferred> (which buildDataset fills with
+// copies) leaves every graph that holds it, such as <urn:graph:source:*>.
+async function writeBackResult(store, result, options = {}) {
+  const { skipGraphs = [], inserted = true } = options;
+  if (result.type === 'quads') {
+    await store.addQuads(result.quads);
+    return;
+  }
+  const isCopy = item => item.graph.termType === 'DefaultGraph' ||
+    item.graph.value === ASSERTED_GRAPH || item.graph.value === INFERRED_GRAPH;
+  for (const item of result.deleted) {
+    await store.removeQuads(isCopy(item) ? await store.getQuads(item.subject, item.predicate, item.object, null) : [item]);
+  }
+  if (inserted) await store.addQuads(result.inserted.filter(item => !skipGraphs.includes(item.graph.value)));
+}
+
+// Function to run the query stage, logging its duration and metrics (see queryStage)
+export async function runQueryStage(pipeline, triples, reasoningResults) {
+  return measureStage('query', () => queryStage(pipeline, triples, reasoningResults));
+}
+
+// Function to run the dataset stage, writing the mapped and inferred triples
+// in their named graphs (see buildDataset) to dataset.outputs, which must be
+// N-Quads, TriG or JSON-LD to keep the graphs. Without results from previous
+// stages, query.data (or mapping.output, N-Quads or TriG keep the source
+// graphs) and query.inferred (or reasoning.output) are read, or the named
+// graphs of the quad store are written.
+// Returns the dataset as an N3 Store.
+async function datasetStage(pipeline, triples, reasoningResults) {
+  const dataset = pipeline.dataset || {};
+  const outputs = requireSetting(dataset.outputs, 'dataset.outputs');
+  const invalid = outputs.find(output => output.format === 'ntriples' || output.format === 'turtle');
+  if (invalid) {
+    throw new Error(`Dataset output ${invalid.file} must be N-Quads, TriG or JSON-LD to keep the named graphs`);
+  }
+
+  const prefixes = pipeline.reasoning ? readReasoningRules(pipeline).prefixes : pipelinePrefixes(pipeline);
+
+  const quadStore = triples === undefined && !pipeline.query?.data ? await pipelineStore(pipeline) : undefined;
+  let store;
+  if (quadStore) {
+    store = new N3.Store(await namedGraphQuads(quadStore));
+  } else {
+    if (triples === undefined) {
+      triples = readRequired(pipeline.query?.data || pipeline.mapping?.output, 'query.data');
+    }
+    if (reasoningResults === undefined) {
+      const inferred = pipeline.query?.inferred || pipeline.reasoning?.output;
+      reasoningResults = inferred ? readStore(inferred) : new N3.Store();
+    }
+    store = buildDataset(new N3.Parser().parse(triples), reasoningResults.getQuads(null, null, null, null), {
+      defaultGraph: false,
+    });
+  }
+  await writeOutputs(outputs, store.getQuads(null, null, null, null), prefixes);
+  return store;
+}
+
+// Function to run the dataset stage, logging its duration and metrics (see datasetStage)
+export async function runDatasetStage(pipeline, triples, reasoningResults) {
+  return measureStage('dataset', () => datasetStage(pipeline, triples, reasoningResults));
+}
+
+// The mapped quads as N-Quads, in the graph of their source when the mapper tells it
+async function assertedQuads({ triples, quads }) {
+  return quads ? serializeQuads(quads, 'nquads') : triples;
+}
+
+// Function to run every stage defined in the pipeline, in order
+// The dataset and query stages get the mapped triples in their source graphs,
+// or with a quad store use the store the earlier stages wrote into.
+export async function runPipeline(pipeline) {
+  const mapped = pipeline.mapping ? await measureStage('map', () => mapSources(pipeline)) : {};
+  const { triples } = mapped;
+  const validationResults = pipeline.validation ? await runValidateStage(pipeline, triples) : undefined;
+  const reasoningResults = pipeline.reasoning ? await runReasonStage(pipeline, triples) : undefined;
+  const asserted = triples === undefined || pipeline.store ? undefined : await assertedQuads(mapped);
+  const inferred = pipeline.store ? undefined : reasoningResults;
+  const dataset = pipeline.dataset ? await runDatasetStage(pipeline, asserted, inferred) : undefined;
+  const queryResults = pipeline.query
+    ? await runQueryStage(pipeline, asserted, inferred)
+    : undefined;
+
+  return { triples, validationResults, reasoningResults, dataset, queryResults };
+}
+
+// Function to update the mapping and reasoning results with the changes of the
+// sources since the last update, then run the query stage when defined.
+// Only added and changed rows (and the rows that join changed parent rows) are
+// mapped, with the own mapper. With reasoning.reasoner js only they are
+// reasoned over, and the triples of deleted and changed rows are retracted with
+// what was inferred from them; another reasoner reasons over all mapped
+// triples again. The rules run in derivations mode. incremental.state keeps
+// what the next update starts from.
+// Writes mapping.output, reasoning.output and the outputs of both stages, and
+// replaces the asserted and inferred triples of the quad store.
+export async function runUpdatePipeline(pipeline) {
+  const mapping = pipeline.mapping || {};
+  const reasoning = pipeline.reasoning || {};
+  const stateFile = requireSetting(pipeline.incremental?.state, 'incremental.state');
+  const mappingYARRRML = readRequired(mapping.file, 'mapping.file');
+  if ((reasoning.mode || 'derivations') !== 'derivations') {
+    throw new Error(`Incremental updates only support reasoner mode 'derivations', not '${reasoning.mode}'`);
+  }
+
+  const inputFiles = {};
+  for (const [name, source] of Object.entries(mapping.sources || {})) {
+    inputFiles[name] = fs.readFileSync(source, 'utf8');
+  }
+  const { rules, prefixes } = readReasoningRules(pipeline);
+
+  const { asserted, inferred, changes } = await measureStage('update', () => withMappingReport(mapping, () =>
+    runIncrementalUpdate(mappingYARRRML, inputFiles, rules, {
+      state: stateFile,
+      policy: mapping.policy,
+      reasoner: reasoning.reasoner,
+    })));
+  logger.info(formatIncrementalChanges(changes));
+
+  const assertedQuads = asserted.getQuads(null, null, null, null);
+  const triples = await serializeQuads(assertedQuads, 'ntriples');
+  if (mapping.output) {
+    fs.writeFileSync(mapping.output, triples, 'utf8');
+    logger.info(`N-Triples mapping saved to ${mapping.output}`);
+  }
+  await writeOutputs(mapping.outputs, assertedQuads, mappingPrefixes(mappingYARRRML));
+  await writeToStore(pipeline, 'asserted', assertedQuads);
+
+  const inferredQuads = inferred.getQuads(null, null, null, null);
+  if (reasoning.output) {
+    fs.writeFileSync(reasoning.output, await serializeQuads(inferredQuads, 'turtle', { prefixes }), 'utf8');
+    logger.info(`Reasoning results saved to ${reasoning.output}`);
+  }
+  await writeOutputs(reasoning.outputs, inferredQuads, prefixes);
+  await writeToStore(pipeline, 'inferred', inferredQuads);
+
+  // With a quad store, the later stages use the store
+  const [stageTriples, stageInferred] = pipeline.store ? [] : [triples, inferred];
+  const dataset = pipeline.dataset ? await runDatasetStage(pipeline, stageTriples, stageInferred) : undefined;
+  const queryResults = pipeline.query ? await runQueryStage(pipeline, stageTriples, stageInferred) : undefined;
+  return { triples, reasoningResults: inferred, changes, dataset, queryResults };
+}
+
+// Function to run continuous queries over a stream of events until it ends or
+// options.signal aborts. Every event of stream.source is mapped with the
+// mapping as a row of stream.mappingSource (the own mapper, with the other
+// mapping sources read from their files). When a window closes, the rules of
+// the reasoning section run over its triples (unless stream.reasoning is
+// false) and the stream.queries over both; results that changed are printed
+// and appended to stream.output as JSON lines.
+export async function runStreamPipeline(pipeline, options = {}) {
+  const stream = pipeline.stream || {};
+  const mapping = pipeline.mapping || {};
+  const source = requireSetting(stream.source, 'stream.source');
+  const queries = requireSetting(stream.queries, 'stream.queries')
+    .map(file => ({ name: path.relative(process.cwd(), file), text: fs.readFileSync(file, 'utf8') }));
+  const prefixes = pipelinePrefixes(pipeline);
+
+  const sourceNames = Object.keys(mapping.sources || {});
+  const mappingSource = stream.mappingSource ||
+    (sourceNames.length === 1 ? sourceNames[0] : requireSetting(undefined, 'stream.mappingSource'));
+  const rmlMapping = await convertYarmlToRML(readRequired(mapping.file, 'mapping.file'));
+  const inputFiles = {};
+  for (const [name, file] of Object.entries(mapping.sources || {})) {
+    if (name !== mappingSource) inputFiles[name] = fs.readFileSync(file, 'utf8');
+  }
+
+  const reasoning = stream.reasoning !== false && pipeline.reasoning ? pipeline.reasoning : undefined;
+  const rules = reasoning ? readReasoningRules(pipeline).rules : undefined;
+  if (stream.output) fs.writeFileSync(stream.output, '', 'utf8');
+
+  const windows = await runContinuousQueries(readEvents(source, { ...stream, signal: options.signal }), {
+    window: stream.window,
+    timestamp: stream.timestamp,
+    emit: stream.emit,
+    signal: options.signal,
+    map: async record => {
+      const { triples } = await doMappingWithReport(
+        rmlMapping,
+        { ...inputFiles, [mappingSource]: eventToCsv(record) },
+        { policy: mapping.policy }
+      );
+      return triples;
+    },
+    evaluate: async triples => {
+      const inferred = reasoning
+        ? await runReasoner(reasoning.reasoner || 'eye', triples, rules, {
+            mode: 'derivations',
+            inputFile: false,
+            outputFile: false,
+          })
+        : undefined;
+      const results = {};
+      for (const query of queries) {
+        const result = await runSparqlQuery(triples, query.text, inferred, Boolean(inferred), { print: false });
+        if (result.type !== 'bindings') {
+          throw new Error(`Continuous query ${query.name} must be a SELECT query`);
+        }
+        results[query.name] = bindingsToRows(result.bindings);
+      }
+      return results;
+    },
+    onResult: async result => {
+      const { query, window, events, added, removed } = result;
+      logger.info(`\n[${window.start} - ${window.end}] ${query}: ${result.results.length} results ` +
+        `(+${added.length} -${removed.length}) from ${events} events`,
+      { query, window, results: result.results.length, added: added.length, removed: removed.length, events });
+      process.stdout.write(`${formatRows(result.results, { prefixes })}\n`);
+      if (stream.output) {
+        // Terms are written as their values
+        const values = rows => rows.map(row =>
+          Object.fromEntries(Object.entries(row).map(([variable, term]) => [variable, term.value])));
+        const line = { ...result, results: values(result.results), added: values(added), removed: values(removed) };
+        fs.appendFileSync(stream.output, JSON.stringify(line) + '\n', 'utf8');
+      }
+    },
+  });
+  logger.info(`\nStream ended after ${windows} windows`);
+  return { windows };
+}
+
+// Function to serve the knowledge graph on a local SPARQL endpoint, until the
+// server is closed. The store is the dataset of the query stage: the data
+// (query.data or mapping.output) and, unless query.useReasoningResults is
+// false, the reasoning results (query.inferred or reasoning.output) in the
+// default graph, and both in their named graphs. Updates and Graph Store
+// uploads change the store in memory only, the files are left as they are.
+// With a quad store, the store is served instead, and changes are kept in it.
+export async function runServe(pipeline) {
+  const query = pipeline.query || {};
+  const serve = pipeline.serve || {};
+  const quadStore = query.data ? undefined : await pipelineStore(pipeline);
+  if (quadStore) {
+    return serveSparql(quadStore, { ...serve, prefixes: pipelinePrefixes(pipeline) });
+  }
+  const dataFile = requireSetting(query.data || pipeline.mapping?.output, 'query.data');
+  const asserted = new N3.Parser().parse(fs.readFileSync(dataFile, 'utf8'));
+  logger.info(`Loaded ${asserted.length} triples from ${dataFile}`);
+
+  let inferred = [];
+  if (query.useReasoningResults !== false) {
+    const inferredFile = requireSetting(query.inferred || pipeline.reasoning?.output, 'query.inferred');
+    inferred = readStore(inferredFile).getQuads(null, null, null, null);
+    logger.info(`Loaded ${inferred.length} inferred triples from ${inferredFile}`);
+  }
+
+  const store = buildDataset(asserted, inferred);
+  return serveSparql(store, { ...serve, prefixes: pipelinePrefixes(pipeline) });
+}
+
+// Parse an RDF file of any of the output formats into quads, keeping named graphs
+async function readQuadsFile(file) {
+  const text = fs.readFileSync(file, 'utf8');
+  if (formatForFile(file) === 'jsonld') return jsonLdToQuads(JSON.parse(text));
+  // N3 also reads N-Triples and Turtle, the default format N-Quads and TriG
+  const format = ['nquads', 'trig'].includes(formatForFile(file)) ? undefined : 'text/n3';
+  return new N3.Parser({ format }).parse(text);
+}
+
+// Function to manage the persistent quad store of the pipeline (store.path)
+// - load: load options.data (any output format) as extra triples, into the
+//   options.graph named graph when given; without data, load mapping.output
+//   as the asserted and reasoning.output as the inferred triples, e.g. the
+//   results of an earlier run
+// - clear: remove all quads, or those of the options.graph named graph
+// - compact: compact the database files, e.g. after clearing much of the store
+// - info: describe the store
+// Returns the store.
+export async function runStoreCommand(pipeline, action, options = {}) {
+  const store = await openQuadStore(requireSetting(pipeline.store?.path, 'store.path'));
+
+  switch (action) {
+    case 'load':
+      if (options.data) {
+        const loaded = await loadQuads(store, await readQuadsFile(options.data), { graph: options.graph });
+        logger.info(`Loaded ${loaded} quads from ${options.data}`);
+      } else {
+        const dataFile = requireSetting(pipeline.query?.data || pipeline.mapping?.output, 'mapping.output');
+        await writeToStore(pipeline, 'asserted', await readQuadsFile(dataFile));
+        const inferred = pipeline.query?.inferred || pipeline.reasoning?.output;
+        if (inferred && fs.existsSync(inferred)) {
+          await writeToStore(pipeline, 'inferred', readStore(inferred).getQuads(null, null, null, null));
+        }
+      }
+      break;
+    case 'clear':
+      await store.clear(options.graph ? N3.DataFactory.namedNode(options.graph) : undefined);
+      logger.info(options.graph ? `Cleared graph ${options.graph}` : 'Cleared the quad store');
+      break;
+    case 'compact':
+      await store.compact();
+      logger.info('Compacted the quad store');
+      break;
+    case 'info':
+      break;
+    default:
+      throw new Error(`Unknown store action '${action}', expected load, clear, compact or info`);
+  }
+  process.stdout.write(`${await describeQuadStore(store)}\n`);
+  return store;
+}
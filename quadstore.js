@@ -0,0 +1,311 @@
+// quadstore.js
+// Persistent quad store: the mapped and inferred triples are kept in a
+// directory, so they survive between runs and stages use them without
+// reparsing N-Triples. The quads are indexed on disk in a LevelDB database
+// (quadstore on classic-level): opening a store reads nothing into memory and
+// a stage only reads the graphs it needs. It is an RDF/JS store, so Comunica
+// queries and updates it like an N3 Store; the other reads and writes are async.
+import fs from 'fs';
+import path from 'path';
+import { createHash } from 'crypto';
+import { EventEmitter } from 'events';
+import { Quadstore } from 'quadstore';
+import { ClassicLevel } from 'classic-level';
+import * as N3 from 'n3';
+import { ASSERTED_GRAPH, INFERRED_GRAPH } from './helpers.js';
+import { logger } from './logger.js';
+
+const { quad, namedNode, blankNode, defaultGraph } = N3.DataFactory;
+
+const writer = new N3.Writer({ format: 'N-Quads' });
+const quadLine = item => writer.quadToString(item.subject, item.predicate, item.object, item.graph).trim();
+
+// Stores opened by this process, by directory
+const openStores = new Map();
+
+// A quadstore pattern of the terms that are given
+function pattern(subject, predicate, object, graph) {
+  return Object.fromEntries(Object.entries({ subject, predicate, object, graph }).filter(([, term]) => term));
+}
+
+// The quads of an RDF/JS stream, once it ends
+function readStream(stream) {
+  return new Promise((resolve, reject) => {
+    const quads = [];
+    stream.on('data', item => quads.push(item));
+    stream.on('error', reject);
+    stream.on('end', () => resolve(quads));
+  });
+}
+
+// An RDF/JS event emitter that ends when a change is made, or fails with it
+function changeEmitter(change) {
+  const emitter = new EventEmitter();
+  change.then(() => emitter.emit('end'), error => emitter.emit('error', error));
+  return emitter;
+}
+
+class PersistentStore {
+  #directory;
+  #quadstore;
+  #recorders = new Set();
+
+  constructor(directory, quadstore) {
+    this.#directory = directory;
+    this.#quadstore = quadstore;
+  }
+
+  get directory() {
+    return this.#directory;
+  }
+
+  // The RDF/JS Source and Store interface, for Comunica: countQuads is an
+  // estimate to plan queries with, and updates go through import and remove
+  match(subject, predicate, object, graph) {
+    return this.#quadstore.match(subject, predicate, object, graph);
+  }
+
+  countQuads(subject, predicate, object, graph) {
+    return this.#quadstore.countQuads(subject, predicate, object, graph);
+  }
+
+  import(stream) {
+    return changeEmitter(readStream(stream).then(quads => this.addQuads(quads)));
+  }
+
+  remove(stream) {
+    return changeEmitter(readStream(stream).then(quads => this.removeQuads(quads)));
+  }
+
+  removeMatches(subject, predicate, object, graph) {
+    return changeEmitter(this.getQuads(subject, predicate, object, graph).then(quads => this.removeQuads(quads)));
+  }
+
+  deleteGraph(graph) {
+    return this.removeMatches(undefined, undefined, undefined, graph);
+  }
+
+  // Function to get the quads that match a pattern, null matching anything
+  async getQuads(subject, predicate, object, graph) {
+    return (await this.#quadstore.get(pattern(subject, predicate, object, graph))).items;
+  }
+
+  // Function to tell whether the store has a quad
+  async has(item) {
+    const { items } = await this.#quadstore.get(pattern(item.subject, item.predicate, item.object, item.graph), { limit: 1 });
+    return items.length > 0;
+  }
+
+  // Function to count the quads of every graph: a Map from graph IRI ('' for
+  // the default graph) to count, in one pass over the store
+  async countGraphs() {
+    const counts = new Map();
+    for await (const item of this.#quadstore.match()) {
+      counts.set(item.graph.value, (counts.get(item.graph.value) || 0) + 1);
+    }
+    return counts;
+  }
+
+  // Function to add quads; quads that are already in the store stay as they are
+  async addQuads(quads) {
+    if (this.#recorders.size > 0) quads = await this.#filter(quads, false);
+    if (quads.length === 0) return;
+    await this.#quadstore.multiPut(quads);
+    for (const changes of this.#recorders) changes.inserted.push(...quads);
+  }
+
+  // Function to remove quads; quads that are not in the store are left out
+  async removeQuads(quads) {
+    if (this.#recorders.size > 0) quads = await this.#filter(quads, true);
+    if (quads.length === 0) return;
+    await this.#quadstore.multiDel(quads);
+    for (const changes of this.#recorders) changes.deleted.push(...quads);
+  }
+
+  // The distinct quads that are (or are not) in the store
+  async #filter(quads, present) {
+    const distinct = [...new Map(quads.map(item => [quadLine(item), item])).values()];
+    const found = await Promise.all(distinct.map(item => this.has(item)));
+    return distinct.filter((item, index) => found[index] === present);
+  }
+
+  // Function to record the quads that are inserted and deleted from now on,
+  // e.g. by a SPARQL update: { inserted, deleted, stop() }
+  recordChanges() {
+    const changes = { inserted: [], deleted: [] };
+    changes.stop = () => this.#recorders.delete(changes);
+    this.#recorders.add(changes);
+    return changes;
+  }
+
+  // Function to remove all quads, or those of one graph
+  async clear(graph) {
+    if (graph) {
+      await this.removeQuads(await this.getQuads(null, null, null, graph));
+    } else {
+      await this.#quadstore.clear();
+    }
+  }
+
+  // Function to compact the database files, e.g. after removing many quads
+  async compact() {
+    await this.#quadstore.db.compactRange('\x00', '\uffff');
+  }
+
+  // Function to release the store
+  async close() {
+    openStores.delete(this.#directory);
+    await this.#quadstore.close();
+  }
+}
+
+// Function to open the persistent quad store in a directory, creating it when
+// needed. A store that this process already opened is returned as it is; a
+// store opened by another process is refused. Close it when done.
+export async function openQuadStore(directory) {
+  const resolved = path.resolve(directory);
+  if (!openStores.has(resolved)) {
+    openStores.set(resolved, (async () => {
+      fs.mkdirSync(resolved, { recursive: true });
+      const quadstore = new Quadstore({ backend: new ClassicLevel(resolved), dataFactory: N3.DataFactory });
+      try {
+        await quadstore.open();
+      } catch (error) {
+        if (error.cause?.code === 'LEVEL_LOCKED') {
+          throw new Error(`Quad store ${resolved} is in use by another process`);
+        }
+        logger.error(`Error opening quad store ${resolved}:`, error);
+        throw error;
+      }
+      return new PersistentStore(resolved, quadstore);
+    })());
+  }
+  try {
+    return await openStores.get(resolved);
+  } catch (error) {
+    openStores.delete(resolved);
+    throw error;
+  }
+}
+
+// Function to close every quad store opened by this process
+export async function closeQuadStores() {
+  const stores = await Promise.allSettled([...openStores.values()]);
+  await Promise.all(stores.filter(({ status }) => status === 'fulfilled').map(({ value }) => value.close()));
+}
+
+// Give the blank nodes of quads labels made from the quads they are in, so
+// the same quads get the same labels in every run and a replace only writes
+// what changed. The scope (such as 'asserted') is part of the label, so blank
+// nodes of different loads do not merge; blank nodes that are in the same
+// quads are told apart by their own labels.
+function stableBlankNodes(quads, scope) {
+  const mentions = new Map();
+  for (const item of quads) {
+    for (const term of [item.subject, item.object, item.graph]) {
+      if (term.termType !== 'BlankNode') continue;
+      if (!mentions.has(term.value)) mentions.set(term.value, []);
+      mentions.get(term.value).push(item);
+    }
+  }
+
+  // The blank node itself is _:a in the quads it is in, other blank nodes _:z
+  const hashes = new Map();
+  for (const [label, items] of mentions) {
+    const relabel = term => (term.termType === 'BlankNode' ? blankNode(term.value === label ? 'a' : 'z') : term);
+    const lines = items.map(item => quadLine(quad(relabel(item.subject), item.predicate, relabel(item.object), relabel(item.graph))));
+    hashes.set(label, createHash('sha1').update(`${scope}\n${lines.sort().join('\n')}`).digest('hex').slice(0, 20));
+  }
+  const labels = new Map();
+  for (const [hash, group] of groupByHash(hashes)) {
+    group.sort().forEach((label, index) => labels.set(label, blankNode(group.length === 1 ? `b${hash}` : `b${hash}_${index}`)));
+  }
+
+  const term = item => (item.termType === 'BlankNode' ? labels.get(item.value) : item);
+  return quads.map(item => quad(term(item.subject), item.predicate, term(item.object), term(item.graph)));
+}
+
+// The labels of a Map from label to hash, grouped by hash
+function groupByHash(hashes) {
+  const groups = new Map();
+  for (const [label, hash] of hashes) {
+    if (!groups.has(hash)) groups.set(hash, []);
+    groups.get(hash).push(label);
+  }
+  return groups;
+}
+
+// Function to replace the asserted or the inferred triples of a store
+// The store holds the dataset of runSparqlQuery (see buildDataset): kind
+// 'asserted' replaces <urn:graph:asserted> and the source graphs with the
+// quads (in their source graph when they have one), 'inferred' replaces
+// <urn:graph:inferred>. The default graph follows, and keeps the triples that
+// SPARQL updates added to it. Only the quads that changed are written.
+// Returns the { added, removed } triple counts.
+export async function replaceTriples(store, kind, quads) {
+  const mainGraph = namedNode(kind === 'asserted' ? ASSERTED_GRAPH : INFERRED_GRAPH);
+  const graphs = kind === 'asserted'
+    ? [...(await store.countGraphs()).keys()]
+      .filter(graph => graph === ASSERTED_GRAPH || graph.startsWith('urn:graph:source:'))
+      .map(graph => namedNode(graph))
+    : [mainGraph];
+
+  const wanted = new Map();
+  for (const item of stableBlankNodes(quads, kind)) {
+    const triple = quad(item.subject, item.predicate, item.object, mainGraph);
+    wanted.set(quadLine(triple), triple);
+    if (kind === 'asserted' && item.graph.termType !== 'DefaultGraph') wanted.set(quadLine(item), item);
+  }
+  const current = new Map();
+  for (const graph of graphs) {
+    for (const item of await store.getQuads(null, null, null, graph)) current.set(quadLine(item), item);
+  }
+  const removed = [...current].filter(([line]) => !wanted.has(line)).map(([, item]) => item);
+  const added = [...wanted].filter(([line]) => !current.has(line)).map(([, item]) => item);
+  await store.removeQuads(removed);
+  await store.addQuads(added);
+
+  // A triple leaves the default graph with the last of the asserted and inferred graphs it was in
+  const inMainGraph = items => items.filter(item => item.graph.equals(mainGraph));
+  const toDefault = item => quad(item.subject, item.predicate, item.object, defaultGraph());
+  const orphans = [];
+  for (const item of inMainGraph(removed)) {
+    const kept = await store.has(quad(item.subject, item.predicate, item.object, namedNode(ASSERTED_GRAPH))) ||
+      await store.has(quad(item.subject, item.predicate, item.object, namedNode(INFERRED_GRAPH)));
+    if (!kept) orphans.push(toDefault(item));
+  }
+  await store.removeQuads(orphans);
+  await store.addQuads(inMainGraph(added).map(toDefault));
+  return { added: inMainGraph(added).length, removed: inMainGraph(removed).length };
+}
+
+// Function to load extra quads into a store: triples go to the options.graph
+// named graph when given, or else to the default graph; quads keep their graph.
+// They are not asserted or inferred triples, so replaceTriples keeps them.
+// The blank nodes get labels of their own, so loading the same quads into
+// the same graph again adds nothing. Returns the number of quads loaded.
+export async function loadQuads(store, quads, options = {}) {
+  const loaded = stableBlankNodes(quads, `load ${options.graph || ''}`).map(item =>
+    (options.graph && item.graph.termType === 'DefaultGraph'
+      ? quad(item.subject, item.predicate, item.object, namedNode(options.graph))
+      : item));
+  await store.addQuads(loaded);
+  return loaded.length;
+}
+
+// Function to describe a store for the console: its directory, the number of
+// quads per graph and the size of its files
+export async function describeQuadStore(store) {
+  const counts = await store.countGraphs();
+  const total = [...counts.values()].reduce((sum, count) => sum + count, 0);
+  const bytes = fs.readdirSync(store.directory)
+    .reduce((sum, file) => sum + fs.statSync(path.join(store.directory, file)).size, 0);
+
+  const lines = [`Quad store ${store.directory}: ${total} quads`];
+  const graphs = [...counts.keys()].sort((a, b) => (a === '' ? -1 : b === '' ? 1 : a.localeCompare(b)));
+  for (const graph of graphs) {
+    lines.push(`  ${(graph === '' ? '(default graph)' : graph).padEnd(40)} ${counts.get(graph)}`);
+  }
+  lines.push(`  ${bytes} bytes on disk`);
+  return lines.join('\n');
+}
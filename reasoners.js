@@ -0,0 +1,106 @@
+// reasoners.js
+// Reasoning backends behind one interface. A reasoner is
+// { modes, reason(triples, rules, options) } where reason returns a Promise of
+// an N3 Store, with the options and modes of runEyeReasoner.
+import { runEyeReasoner, loadRules, REASONER_MODES } from './helpers.js';
+import { runForwardChaining, FORWARD_CHAINER_MODES } from './other/forward-chainer.js';
+
+const reasoners = new Map();
+
+// Function to register a reasoner under a name, replacing any reasoner with that name
+export function registerReasoner(name, reasoner) {
+  if (typeof reasoner?.reason !== 'function') {
+    throw new TypeError(`Reasoner ${name} must have a reason(triples, rules, options) function`);
+  }
+  reasoners.set(name, { modes: REASONER_MODES, ...reasoner });
+}
+
+// Function to get a registered reasoner by name
+export function getReasoner(name) {
+  const reasoner = reasoners.get(name);
+  if (!reasoner) {
+    throw new Error(`Unknown reasoner '${name}', expected one of ${[...reasoners.keys()].join(', ')}`);
+  }
+  return reasoner;
+}
+
+// EYE through eyereasoner, and the JavaScript forward chainer for simple N3 rules
+registerReasoner('eye', { modes: REASONER_MODES, reason: runEyeReasoner });
+registerReasoner('js', { modes: FORWARD_CHAINER_MODES, reason: runForwardChaining });
+
+// Function to reason with a registered reasoner, returning an N3 Store
+// rules is an N3 rule string, or the { modules, files, disable, directory } of loadRules
+export async function runReasoner(name, triples, rules, options = {}) {
+  const reasoner = getReasoner(name);
+  const mode = options.mode || 'derivations';
+  if (!reasoner.modes.includes(mode)) {
+    throw new Error(`Reasoner '${name}' does not support mode '${mode}', only ${reasoner.modes.join(', ')}`);
+  }
+  return reasoner.reason(triples, typeof rules === 'string' ? rules : loadRules(rules), options);
+}
+
+// Compare quads of different reasoners by their N-Triples, with every blank
+// node written as [] since reasoners label them differently
+function quadKey(quad) {
+  const term = item => {
+    switch (item.termType) {
+      case 'BlankNode':
+        return '[]';
+      case 'Literal':
+        return JSON.stringify(item.value) + (item.language ? `@${item.language}` : `^^<${item.datatype.value}>`);
+      default:
+        return `<${item.value}>`;
+    }
+  };
+  return `${term(quad.subject)} ${term(quad.predicate)} ${term(quad.object)} .`;
+}
+
+// Function to diff the results of two reasoners, given as { name: store }
+// Returns { reasoners, onlyIn: { name: [line] }, common, equal } where the
+// lines are N-Triples (blank nodes as [])
+export function diffReasonerResults(results) {
+  const names = Object.keys(results);
+  if (names.length !== 2) {
+    throw new Error(`Comparing reasoners takes two reasoners, got ${names.join(', ')}`);
+  }
+  const [first, second] = names.map(name =>
+    new Set(results[name].getQuads(null, null, null, null).map(quadKey)));
+  const onlyIn = {
+    [names[0]]: [...first].filter(key => !second.has(key)).sort(),
+    [names[1]]: [...second].filter(key => !first.has(key)).sort(),
+  };
+  const common = [...first].filter(key => second.has(key)).length;
+
+  return {
+    reasoners: names,
+    onlyIn,
+    common,
+    equal: onlyIn[names[0]].length === 0 && onlyIn[names[1]].length === 0,
+  };
+}
+
+// Function to run the same rules with two reasoners and diff their results,
+// e.g. to check that rule changes give the same inferences with EYE and the
+// JavaScript reasoner. Debug files are not written.
+export async function compareReasoners(names, triples, rules, options = {}) {
+  rules = typeof rules === 'string' ? rules : loadRules(rules);
+  const results = {};
+  for (const name of names) {
+    results[name] = await runReasoner(name, triples, rules, { ...options, inputFile: false, outputFile: false });
+  }
+  return diffReasonerResults(results);
+}
+
+// Function to format the difference of two reasoners for the console
+export function formatReasonerDiff(diff) {
+  const [first, second] = diff.reasoners;
+  if (diff.equal) {
+    return `${first} and ${second} agree on all ${diff.common} triples`;
+  }
+  const lines = [`${first} and ${second} agree on ${diff.common} triples, but differ on:`];
+  for (const name of diff.reasoners) {
+    lines.push(`  only ${name} (${diff.onlyIn[name].length}):`);
+    diff.onlyIn[name].forEach(line => lines.push(`    ${line}`));
+  }
+  return lines.join('\n');
+}
@@ -0,0 +1,305 @@
+// server.js
+// Local SPARQL endpoint over an N3 Store or the persistent quad store with
+// the knowledge graph, for
+// frontends and notebooks: the SPARQL 1.1 Protocol on /sparql, with content
+// negotiation of the result format, and optionally the SPARQL 1.1 Graph Store
+// HTTP Protocol on /rdf-graph-store to upload and download graphs.
+import http from 'http';
+import * as N3 from 'n3';
+import { executeSparql, formatQueryResult, serializeQuads, jsonLdToQuads } from './helpers.js';
+import { logger } from './logger.js';
+
+// Media types of the SPARQL result formats and of the RDF output formats
+const RESULT_TYPES = {
+  'application/sparql-results+json': 'json',
+  'application/json': 'json',
+  'application/sparql-results+xml': 'xml',
+  'application/xml': 'xml',
+  'text/csv': 'csv',
+  'text/tab-separated-values': 'tsv',
+  'text/plain': 'table',
+};
+const RDF_TYPES = {
+  'text/turtle': 'turtle',
+  'application/n-triples': 'ntriples',
+  'application/n-quads': 'nquads',
+  'application/trig': 'trig',
+  'application/ld+json': 'jsonld',
+};
+// N3.js parser formats of uploaded RDF
+const PARSER_FORMATS = {
+  'text/turtle': 'Turtle',
+  'application/n-triples': 'N-Triples',
+  'application/n-quads': 'N-Quads',
+  'application/trig': 'TriG',
+};
+
+const MAX_BODY = 50 * 1024 * 1024;
+
+// An error answered with an HTTP status
+function httpError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+// The media types of an Accept header, best first
+function acceptedTypes(accept = '') {
+  return accept.split(',')
+    .map(part => {
+      const [type, ...parameters] = part.trim().split(';').map(item => item.trim());
+      const q = parameters.find(parameter => parameter.startsWith('q='));
+      return { type: type.toLowerCase(), q: q ? Number(q.slice(2)) : 1 };
+    })
+    .filter(({ type, q }) => type && q > 0)
+    .sort((a, b) => b.q - a.q)
+    .map(({ type }) => type);
+}
+
+// Pick the media type to answer with from the types a result can be written
+// in, or the fallback for */* or a missing Accept header
+function negotiate(accept, types, fallback) {
+  if (!accept) return fallback;
+  for (const type of acceptedTypes(accept)) {
+    if (type in types) return type;
+    if (type === '*/*') return fallback;
+    const match = type.endsWith('/*') && Object.keys(types).find(candidate => candidate.startsWith(type.slice(0, -1)));
+    if (match) return match;
+  }
+  throw httpError(406, `None of the accepted types can be returned, use one of ${Object.keys(types).join(', ')}`);
+}
+
+// Read a request body as text
+function readBody(request) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    request.on('data', chunk => {
+      size += chunk.length;
+      if (size > MAX_BODY) {
+        reject(httpError(413, 'Request body too large'));
+        request.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    request.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+    request.on('error', reject);
+  });
+}
+
+// The media type of a request, without parameters
+const contentType = request => (request.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+
+// The query or update of a SPARQL Protocol request
+async function readOperation(request, url) {
+  if (request.method === 'GET') {
+    if (url.searchParams.has('update')) throw httpError(400, 'Updates must be sent with POST');
+    return { query: url.searchParams.get('query') };
+  }
+  const body = await readBody(request);
+  switch (contentType(request)) {
+    case 'application/sparql-query':
+      return { query: body };
+    case 'application/sparql-update':
+      return { update: body };
+    case 'application/x-www-form-urlencoded': {
+      const form = new URLSearchParams(body);
+      return { query: form.get('query'), update: form.get('update') };
+    }
+    default:
+      throw httpError(415, 'Send a query as application/sparql-query, an update as application/sparql-update, or a form');
+  }
+}
+
+// Answer a SPARQL Protocol request
+async function handleSparql(request, response, url, store, options) {
+  const { query, update } = await readOperation(request, url);
+  const operation = query || update;
+  if (!operation) {
+    throw httpError(400, "Missing 'query' (or 'update') parameter");
+  }
+  if (query && update) {
+    throw httpError(400, "Send either 'query' or 'update', not both");
+  }
+  if (update && !options.update) {
+    throw httpError(403, 'Updates are disabled, start the server with updates allowed');
+  }
+
+  // Only an update operation may change the store, whatever the query text is
+  let result;
+  try {
+    result = await executeSparql(store, operation, { readOnly: !update });
+  } catch (error) {
+    if (error.update) throw httpError(400, "Send updates with POST, as 'update' or application/sparql-update");
+    throw httpError(400, error.message);
+  }
+  if (update && result.type !== 'update') {
+    throw httpError(400, "Send queries as 'query' or application/sparql-query");
+  }
+  if (result.type === 'update') {
+    response.writeHead(204);
+    response.end();
+    return;
+  }
+
+  // ?format=csv etc. overrides the Accept header, e.g. for links in a browser
+  const types = result.type === 'quads' ? RDF_TYPES : RESULT_TYPES;
+  const requested = url.searchParams.get('format');
+  const type = requested
+    ? Object.keys(types).find(candidate => types[candidate] === requested)
+    : negotiate(request.headers.accept, types, Object.keys(types)[0]);
+  if (!type) {
+    throw httpError(400, `Unknown format '${requested}', use one of ${[...new Set(Object.values(types))].join(', ')}`);
+  }
+  if (result.type === 'boolean' && (types[type] === 'csv' || types[type] === 'tsv')) {
+    throw httpError(406, 'ASK results are only available as JSON, XML or text');
+  }
+  const body = await formatQueryResult(result, types[type], { prefixes: options.prefixes });
+  response.writeHead(200, { 'Content-Type': `${type}; charset=utf-8` });
+  response.end(body);
+}
+
+// The graph of a Graph Store Protocol request: the default graph or ?graph=<iri>
+function requestedGraph(url) {
+  if (url.searchParams.has('default')) return N3.DataFactory.defaultGraph();
+  const graph = url.searchParams.get('graph');
+  if (!graph) throw httpError(400, "Use '?default' or '?graph=<iri>'");
+  return N3.DataFactory.namedNode(graph);
+}
+
+// Parse an uploaded RDF document into quads of a graph
+async function readGraph(request, graph) {
+  const type = contentType(request);
+  const body = await readBody(request);
+  let quads;
+  try {
+    if (type === 'application/ld+json') {
+      quads = await jsonLdToQuads(JSON.parse(body));
+    } else if (PARSER_FORMATS[type]) {
+      quads = new N3.Parser({ format: PARSER_FORMATS[type] }).parse(body);
+    } else {
+      throw httpError(415, `Upload RDF as one of ${[...Object.keys(PARSER_FORMATS), 'application/ld+json'].join(', ')}`);
+    }
+  } catch (error) {
+    throw error.status ? error : httpError(400, error.message);
+  }
+  return quads.map(quad => N3.DataFactory.quad(quad.subject, quad.predicate, quad.object, graph));
+}
+
+// The number of quads in an N3 Store or a persistent quad store
+async function storeSize(store) {
+  if (typeof store.size === 'number') return store.size;
+  return [...(await store.countGraphs()).values()].reduce((sum, count) => sum + count, 0);
+}
+
+// Answer a Graph Store Protocol request
+async function handleGraphStore(request, response, url, store, options) {
+  const graph = requestedGraph(url);
+  const existing = await store.getQuads(null, null, null, graph);
+  if (['PUT', 'POST', 'DELETE'].includes(request.method) && !options.update) {
+    throw httpError(403, 'Changing graphs is disabled, start the server with updates allowed');
+  }
+
+  switch (request.method) {
+    case 'GET':
+    case 'HEAD': {
+      if (existing.length === 0 && graph.termType === 'NamedNode') throw httpError(404, `No graph ${graph.value}`);
+      const type = negotiate(request.headers.accept, RDF_TYPES, 'text/turtle');
+      // Triple formats write the graph as the default graph
+      const quads = RDF_TYPES[type] === 'nquads' || RDF_TYPES[type] === 'trig'
+        ? existing
+        : existing.map(quad => N3.DataFactory.quad(quad.subject, quad.predicate, quad.object));
+      const body = await serializeQuads(quads, RDF_TYPES[type], { prefixes: options.prefixes });
+      response.writeHead(200, { 'Content-Type': `${type}; charset=utf-8` });
+      response.end(request.method === 'HEAD' ? undefined : body);
+      return;
+    }
+    case 'PUT':
+    case 'POST': {
+      const quads = await readGraph(request, graph);
+      if (request.method === 'PUT') await store.removeQuads(existing);
+      await store.addQuads(quads);
+      response.writeHead(existing.length === 0 ? 201 : 204);
+      response.end();
+      return;
+    }
+    case 'DELETE':
+      if (existing.length === 0) throw httpError(404, `No graph ${graph.value}`);
+      await store.removeQuads(existing);
+      response.writeHead(204);
+      response.end();
+      return;
+    default:
+      throw httpError(405, `Method ${request.method} is not supported`);
+  }
+}
+
+// Function to create an HTTP server with a SPARQL endpoint over an N3 Store
+// or a persistent quad store (see quadstore.js)
+// options:
+// - prefixes: to shorten IRIs in the table view (text/plain) and in Turtle
+// - update: allow SPARQL updates and Graph Store uploads, which change the store
+// - graphStore: enable the Graph Store Protocol on /rdf-graph-store
+// - cors: the origin (such as http://localhost:5173, or *) of the frontend
+//   that may call the endpoint from the browser; no other origin may
+// The server is not started, call listen() on it or use serveSparql.
+export function createSparqlServer(store, options = {}) {
+  const methods = options.update && options.graphStore ? 'GET, POST, PUT, DELETE, OPTIONS' : 'GET, POST, OPTIONS';
+  return http.createServer(async (request, response) => {
+    const started = Date.now();
+    const url = new URL(request.url, 'http://localhost');
+    if (options.cors) {
+      response.setHeader('Access-Control-Allow-Origin', options.cors);
+      response.setHeader('Access-Control-Allow-Headers', 'Content-Type, Accept');
+      response.setHeader('Access-Control-Allow-Methods', methods);
+      if (options.cors !== '*') response.setHeader('Vary', 'Origin');
+    }
+
+    try {
+      if (request.method === 'OPTIONS') {
+        response.writeHead(204);
+        response.end();
+      } else if (url.pathname === '/sparql') {
+        if (request.method !== 'GET' && request.method !== 'POST') {
+          throw httpError(405, 'Use GET or POST for SPARQL queries');
+        }
+        await handleSparql(request, response, url, store, options);
+      } else if (url.pathname === '/rdf-graph-store' && options.graphStore) {
+        await handleGraphStore(request, response, url, store, options);
+      } else if (url.pathname === '/') {
+        response.writeHead(200, { 'Content-Type': 'text/plain; charset=utf-8' });
+        response.end(`SPARQL endpoint: /sparql (${await storeSize(store)} quads)\n` +
+          (options.graphStore ? 'Graph Store Protocol: /rdf-graph-store\n' : ''));
+      } else {
+        throw httpError(404, `Not found: ${url.pathname}`);
+      }
+    } catch (error) {
+      const status = error.status || 500;
+      if (status === 500) logger.error("Error answering request:", error);
+      if (!response.headersSent) {
+        response.writeHead(status, { 'Content-Type': 'text/plain; charset=utf-8' });
+      }
+      response.end(`${error.message}\n`);
+    }
+    const duration = Date.now() - started;
+    logger.info(`${request.method} ${url.pathname} ${response.statusCode} ${duration}ms`,
+      { method: request.method, path: url.pathname, status: response.statusCode, duration });
+  });
+}
+
+// Function to serve a SPARQL endpoint over an N3 Store on host:port (default
+// localhost:3030), resolving to the listening server
+export async function serveSparql(store, options = {}) {
+  const { port = 3030, host = 'localhost' } = options;
+  const server = createSparqlServer(store, options);
+  await new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, host, resolve);
+  });
+  logger.info(`SPARQL endpoint on http://${host}:${server.address().port}/sparql over ${await storeSize(store)} quads`);
+  if (options.graphStore) {
+    logger.info(`Graph Store Protocol on http://${host}:${server.address().port}/rdf-graph-store`);
+  }
+  return server;
+}
@@ -0,0 +1,309 @@
+// stream.js
+// Stream processing: events (e.g. nurse calls) are read from a followed file,
+// stdin or a TCP socket, mapped one by one with the YARRRML mapping and
+// collected in sliding or tumbling time windows. When a window closes, its
+// triples are reasoned over and the continuous SPARQL queries run on them;
+// their results are emitted when they change.
+import fs from 'fs';
+import net from 'net';
+import readline from 'readline';
+import { StringDecoder } from 'string_decoder';
+import { setTimeout as sleep } from 'timers/promises';
+import { parse } from 'csv-parse/sync';
+import { logger } from './logger.js';
+import { toSeconds } from './other/temporal.js';
+
+const UNITS = { ms: 1, s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+
+// Function to parse a duration such as 500ms, 30s, 10m, 2h or 1d into milliseconds
+export function parseDuration(duration) {
+  if (typeof duration === 'number') return duration;
+  const match = /^\s*(\d+(?:\.\d+)?)\s*(ms|s|m|h|d)\s*$/.exec(duration || '');
+  if (!match) {
+    throw new Error(`Invalid duration '${duration}', expected e.g. 30s, 10m or 1h`);
+  }
+  return Number(match[1]) * UNITS[match[2]];
+}
+
+// Wait for interval milliseconds, or until the signal aborts
+async function pause(interval, signal) {
+  try {
+    await sleep(interval, undefined, { signal });
+  } catch (error) {
+    if (error.name !== 'AbortError') throw error;
+  }
+}
+
+// Lines of a file, also the lines appended later when follow is set (like tail -f)
+// A file that shrinks was truncated or replaced and is read again from the start
+async function* fileLines(file, { follow = true, interval = 500, signal } = {}) {
+  let position = 0;
+  let decoder = new StringDecoder('utf8');
+  let rest = '';
+
+  while (!signal?.aborted) {
+    const size = fs.existsSync(file) ? fs.statSync(file).size : 0;
+    if (size < position) {
+      position = 0;
+      decoder = new StringDecoder('utf8');
+      rest = '';
+    }
+    if (size > position) {
+      const buffer = Buffer.alloc(size - position);
+      const fd = fs.openSync(file, 'r');
+      try {
+        fs.readSync(fd, buffer, 0, buffer.length, position);
+      } finally {
+        fs.closeSync(fd);
+      }
+      position = size;
+      const lines = (rest + decoder.write(buffer)).split(/\r?\n/);
+      rest = lines.pop();
+      yield* lines;
+    } else if (!follow) {
+      break;
+    } else {
+      await pause(interval, signal);
+    }
+  }
+  // Without following, the last line needs no newline
+  if (!follow && rest) yield rest;
+}
+
+// Lines read from stdin until it ends
+async function* stdinLines({ signal } = {}) {
+  const lines = readline.createInterface({ input: process.stdin });
+  const close = () => lines.close();
+  signal?.addEventListener('abort', close);
+  try {
+    yield* lines;
+  } finally {
+    signal?.removeEventListener('abort', close);
+  }
+}
+
+// Lines sent to a TCP server on tcp://host:port, a local stand-in for a
+// WebSocket or MQTT broker: any number of producers connect and write one
+// event per line, e.g. with `nc localhost 7000`
+async function* tcpLines(address, { signal } = {}) {
+  const { hostname, port } = new URL(address);
+  const queue = [];
+  let wake;
+  const server = net.createServer(socket => {
+    readline.createInterface({ input: socket }).on('line', line => {
+      queue.push(line);
+      wake?.();
+    });
+  });
+  await new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(Number(port), hostname || 'localhost', resolve);
+  });
+  logger.info(`Listening for events on ${address}`);
+
+  const stop = () => wake?.();
+  signal?.addEventListener('abort', stop);
+  try {
+    while (!signal?.aborted) {
+      if (queue.length === 0) {
+        await new Promise(resolve => { wake = resolve; });
+        wake = undefined;
+      }
+      yield* queue.splice(0);
+    }
+  } finally {
+    signal?.removeEventListener('abort', stop);
+    server.close();
+  }
+}
+
+// Function to read the lines of a stream source: a file (followed as it grows
+// unless options.follow is false), '-' for stdin or tcp://host:port
+export function readLines(source, options = {}) {
+  if (source === '-') return stdinLines(options);
+  if (source.startsWith('tcp://')) return tcpLines(source, options);
+  return fileLines(source, options);
+}
+
+// Function to read the events of a stream source as records
+// A line is a JSON object or a CSV row; the first CSV row is the header
+// unless options.columns is given, and later copies of the header (e.g. of
+// a new producer, or a file that was replaced) are skipped. Lines that
+// cannot be read are reported and skipped.
+export async function* readEvents(source, options = {}) {
+  let columns = options.columns;
+  for await (const line of readLines(source, options)) {
+    if (!line.trim()) continue;
+    try {
+      if (line.trimStart().startsWith('{')) {
+        yield JSON.parse(line);
+        continue;
+      }
+      const [values] = parse(line, { trim: true });
+      if (!columns) {
+        columns = values;
+      } else if (values.join(',') !== columns.join(',')) {
+        yield Object.fromEntries(columns.map((column, index) => [column, values[index] ?? '']));
+      }
+    } catch (error) {
+      logger.warn(`Skipping unreadable event '${line}': ${error.message}`);
+    }
+  }
+}
+
+// Quote a CSV value when needed
+function csvValue(value) {
+  const text = value === undefined || value === null ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Function to write an event record as a CSV document of one row, the way
+// a mapping with a CSV source reads it
+export function eventToCsv(record) {
+  const columns = Object.keys(record);
+  return `${columns.map(csvValue).join(',')}\n${columns.map(column => csvValue(record[column])).join(',')}\n`;
+}
+
+// Time of an event in milliseconds since the epoch, NaN when it is not an
+// xsd:dateTime; a time without timezone is UTC, as in other/temporal.js
+function eventTime(value) {
+  return toSeconds(typeof value === 'string' ? value : '') * 1000;
+}
+
+// Key of a result row of { variable: term }, to compare the results of two windows
+function rowKey(row) {
+  return JSON.stringify(Object.entries(row)
+    .map(([variable, term]) => [variable, term.termType, term.value, term.language, term.datatype?.value])
+    .sort(([a], [b]) => a.localeCompare(b)));
+}
+
+// Function to run continuous queries over windows of an event stream
+// events is an async iterable of records. options:
+// - window: { type: 'sliding' | 'tumbling', range, slide } with durations
+//   such as '10m'; a tumbling window slides by its range
+// - timestamp: the field with the event time, or false to use the arrival
+//   time (windows then also close while no events arrive); times without a
+//   timezone are UTC, and events without a valid time are logged and skipped
+// - map(record): the N-Triples of an event
+// - evaluate(triples): the results of every query over the triples of a
+//   window, as { [query]: [{ variable: term }] }
+// - onResult({ query, window: { start, end }, events, results, added, removed }):
+//   called for every query whose results changed, or after every window with
+//   emit: 'always'
+// - signal: an AbortSignal that ends the stream; the open windows are evaluated
+// Windows are aligned to multiples of the slide and closed when an event at
+// or after their end arrives, so late events only count for the windows
+// that are still open. A window that fails to evaluate is logged and skipped.
+// Returns the number of windows evaluated.
+export async function runContinuousQueries(events, options) {
+  const { window = {}, timestamp = 'timestamp', map, evaluate, onResult, emit = 'changes', signal } = options;
+  const type = window.type || 'sliding';
+  if (type !== 'sliding' && type !== 'tumbling') {
+    throw new Error(`Unknown window type '${type}', expected sliding or tumbling`);
+  }
+  const range = parseDuration(requireDuration(window.range, 'window.range'));
+  const slide = type === 'tumbling' ? range : parseDuration(window.slide || window.range);
+  if (range <= 0 || slide <= 0) {
+    throw new Error('Window range and slide must be positive');
+  }
+
+  const firstEndAfter = time => Math.floor(time / slide) * slide + slide;
+  const previous = {};
+  let buffer = [];
+  let nextEnd = null;
+  let lastEmpty = true;
+  let windows = 0;
+
+  // Evaluate the queries over the events of one window and emit their results
+  const evaluateWindow = async (window, items) => {
+    const results = await evaluate(items.map(item => item.triples).join('\n'));
+    windows++;
+    for (const [query, rows] of Object.entries(results)) {
+      const keys = new Set(rows.map(rowKey));
+      const before = previous[query] || new Map();
+      const added = rows.filter(row => !before.has(rowKey(row)));
+      const removed = [...before].filter(([key]) => !keys.has(key)).map(([, row]) => row);
+      previous[query] = new Map(rows.map(row => [rowKey(row), row]));
+      if (emit === 'always' || added.length > 0 || removed.length > 0) {
+        await onResult({ query, window, events: items.length, results: rows, added, removed });
+      }
+    }
+  };
+
+  // Evaluate the windows that end at or before the watermark
+  const advance = async watermark => {
+    while (nextEnd !== null && nextEnd <= watermark) {
+      const start = nextEnd - range;
+      const items = buffer.filter(item => item.time >= start && item.time < nextEnd);
+      // Consecutive empty windows all have the same (empty) results
+      if (items.length > 0 || !lastEmpty) {
+        const window = { start: new Date(start).toISOString(), end: new Date(nextEnd).toISOString() };
+        try {
+          await evaluateWindow(window, items);
+        } catch (error) {
+          logger.error(`Skipping the window ${window.start} - ${window.end}:`, error);
+        }
+        lastEmpty = items.length === 0;
+      }
+
+      // Events before the next window are no longer needed
+      buffer = buffer.filter(item => item.time >= nextEnd + slide - range);
+      nextEnd += slide;
+      if (lastEmpty) {
+        // Skip the empty windows up to the next event
+        nextEnd = buffer.length === 0 ? null : Math.max(nextEnd, firstEndAfter(buffer[0].time));
+      }
+    }
+  };
+
+  // Events and timer ticks take turns; a turn that fails does not stop the next ones
+  let turn = Promise.resolve();
+  const enqueue = step => {
+    const result = turn.then(step);
+    turn = result.catch(() => {});
+    return result;
+  };
+  const tick = () => enqueue(() => advance(Date.now()))
+    .catch(error => logger.error('Error closing the windows of the stream:', error));
+  const timer = timestamp ? undefined : setInterval(tick, Math.min(slide, 1000));
+
+  try {
+    for await (const record of events) {
+      await enqueue(async () => {
+        const time = timestamp ? eventTime(record[timestamp]) : Date.now();
+        // The arrival time would close the windows of the event times
+        if (Number.isNaN(time)) {
+          logger.warn(`Skipping event without a valid '${timestamp}': ${JSON.stringify(record)}`);
+          return;
+        }
+        let triples;
+        try {
+          triples = await map(record);
+        } catch (error) {
+          logger.warn(`Skipping event that could not be mapped: ${error.message}`);
+          return;
+        }
+        // Keep the buffer in time order, also for events that arrive late
+        const index = buffer.findIndex(item => item.time > time);
+        buffer.splice(index === -1 ? buffer.length : index, 0, { time, triples });
+        if (nextEnd === null) nextEnd = firstEndAfter(time);
+        if (timestamp) await advance(time);
+      });
+      if (signal?.aborted) break;
+    }
+  } finally {
+    clearInterval(timer);
+  }
+
+  // The stream ended: close the open windows
+  await enqueue(() => advance(Infinity));
+  return windows;
+}
+
+// Fail when a window setting is missing
+function requireDuration(value, setting) {
+  if (value === undefined || value === null || value === '') {
+    throw new Error(`Stream setting '${setting}' is required`);
+  }
+  return value;
+}
@@ -0,0 +1,111 @@
+// api.test.mjs
+// createPipeline over inputs in memory: the medication case of test/cases,
+// read into strings, with the stage events and without files written, and
+// index.mjs run as a script.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import { spawnSync } from 'child_process';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { createPipeline } from '../index.mjs';
+
+const caseDir = path.join(path.dirname(fileURLToPath(import.meta.url)), 'cases', 'medication');
+const read = file => fs.readFileSync(path.join(caseDir, file), 'utf8');
+
+test('createPipeline runs the stages in memory with their events', async () => {
+  const pipeline = createPipeline({
+    mapping: read('mapping.yml'),
+    mapper: 'own',
+    sources: { 'medication.csv': read('medication.csv') },
+    rules: read('rules.n3'),
+    reasoner: 'js',
+    queries: {
+      rooms: 'PREFIX ex: <http://example.com/> SELECT DISTINCT ?room WHERE { ?med ex:isAdministeredInRoom ?room }',
+      room1: 'PREFIX ex: <http://example.com/> ASK { <http://example.com/medication/ibuprofen> a ex:Room1Medication }',
+    },
+  });
+  const events = [];
+  const metrics = {};
+  pipeline.on('stage:start', ({ stage }) => events.push(`start ${stage}`));
+  pipeline.on('stage:end', event => {
+    events.push(`end ${event.stage}`);
+    metrics[event.stage] = event.metrics;
+  });
+
+  // Run from an empty directory, to see that nothing is written
+  const cwd = process.cwd();
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'kg-api-'));
+  let results;
+  try {
+    process.chdir(directory);
+    results = await pipeline.run();
+    assert.deepEqual(fs.readdirSync(directory), []);
+  } finally {
+    process.chdir(cwd);
+    fs.rmSync(directory, { recursive: true, force: true });
+  }
+
+  assert.deepEqual(events, ['start map', 'end map', 'start reason', 'end reason', 'start query', 'end query']);
+  assert.equal(results.mapping.report.summary.rows, 4);
+  assert.equal(metrics.map.rows, 4);
+  assert.equal(metrics.map.triples, results.mapping.triples.trim().split('\n').length);
+  assert.equal(metrics.reason.inferred, results.inferred.size);
+  const rooms = results.queryResults.rooms.bindings.map(binding => binding.get('room').value).sort();
+  assert.deepEqual(rooms, ['1', '2', '3']);
+  assert.equal(results.queryResults.room1.boolean, true);
+});
+
+test('a stage:start listener can change the input of a stage', async () => {
+  const pipeline = createPipeline({ rules: read('rules.n3'), reasoner: 'js' });
+  pipeline.on('stage:start', async ({ input }) => {
+    input.triples = '<http://example.com/medication/x> <http://example.com/room> "1" .';
+  });
+  const inferred = await pipeline.reason('');
+  assert.equal(inferred.countQuads(null, null, null, null), 2);
+});
+
+test('createPipeline prints nothing, and fails on violations like the validation stage', async () => {
+  const shapes = `@prefix sh: <http://www.w3.org/ns/shacl#>.
+<urn:shape:medication> a sh:NodeShape; sh:targetSubjectsOf <http://example.com/date>;
+  sh:property [ sh:path <http://example.com/room>; sh:minCount 1 ].`;
+  const withoutRoom = '<http://example.com/medication/x> <http://example.com/date> "2025-03-10" .';
+  const pipeline = createPipeline({
+    mapping: read('mapping.yml'),
+    mapper: 'own',
+    sources: { 'medication.csv': read('medication.csv') },
+    shapes,
+    rules: read('rules.n3'),
+    reasoner: 'js',
+    queries: 'PREFIX ex: <http://example.com/> SELECT ?room WHERE { ?med ex:isAdministeredInRoom ?room }',
+  });
+
+  // The test runner reports through stdout too, with buffers
+  const write = process.stdout.write;
+  const printed = [];
+  process.stdout.write = function (chunk, ...rest) {
+    if (typeof chunk !== 'string') return write.call(this, chunk, ...rest);
+    printed.push(chunk);
+    return true;
+  };
+  try {
+    await pipeline.run();
+  } finally {
+    process.stdout.write = write;
+  }
+  assert.deepEqual(printed, []);
+
+  const error = await pipeline.validate(withoutRoom).then(() => undefined, rejection => rejection);
+  assert.match(error.message, /SHACL validation failed with 1 violations/);
+  assert.equal(error.validation.conforms, false);
+  assert.equal((await createPipeline({ shapes, onViolation: 'continue' }).validate(withoutRoom)).results.length, 1);
+});
+
+test('index.mjs run as a script exits with an error code when the pipeline fails', () => {
+  const indexFile = fileURLToPath(new URL('../index.mjs', import.meta.url));
+  const result = spawnSync(process.execPath, [indexFile, path.join(os.tmpdir(), 'missing-pipeline.yaml')],
+    { encoding: 'utf8', timeout: 60000 });
+  assert.equal(result.status, 1);
+  assert.match(result.stderr, /An error occurred: ENOENT/);
+});
@@ -0,0 +1,103 @@
+// golden.test.mjs
+// Golden-file tests of the mappings, rules and queries, run by `npm test`.
+// Every directory in test/cases is a case: a pipeline.yaml with its input
+// sources, mapping, rules and query (paths are relative to the case), and the
+// expected output of the stages in expected/:
+// - mapping.nt: the mapped triples
+// - inferred.nt: the reasoning results
+// - query.json: SELECT or ASK results in SPARQL JSON, or query.nt: the triples
+//   of a CONSTRUCT or DESCRIBE query
+// Triples are compared by graph isomorphism, so blank node labels do not
+// matter, and query results regardless of their order. A case fails when a
+// stage it runs has no expected file. GOLDEN_UPDATE=1 npm test writes the
+// actual outputs as the expected ones, to review with git diff.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import * as N3 from 'n3';
+import { isomorphic } from 'rdf-isomorphic';
+import { loadPipeline, runPipeline } from '../pipeline.js';
+import { serializeQuads, formatQueryResult } from '../helpers.js';
+
+const CASES_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), 'cases');
+const update = Boolean(process.env.GOLDEN_UPDATE);
+
+// The distinct triples of quads, in the default graph
+const triplesOf = quads => new N3.Store(quads.map(item =>
+  N3.DataFactory.quad(item.subject, item.predicate, item.object))).getQuads(null, null, null, null);
+
+// Sorted N-Triples lines, so golden files diff well
+async function toNTriples(quads) {
+  const lines = (await serializeQuads(triplesOf(quads), 'ntriples')).split('\n').filter(Boolean);
+  return `${lines.sort().join('\n')}\n`;
+}
+
+// Compare triples by graph isomorphism; the message lists the lines that
+// differ, blank nodes included as they are labelled
+async function assertIsomorphic(actual, expectedFile) {
+  const expected = new N3.Parser().parse(fs.readFileSync(expectedFile, 'utf8'));
+  if (isomorphic(triplesOf(actual), triplesOf(expected))) return;
+
+  const actualLines = new Set((await toNTriples(actual)).split('\n'));
+  const expectedLines = new Set((await toNTriples(expected)).split('\n'));
+  const missing = [...expectedLines].filter(line => !actualLines.has(line));
+  const extra = [...actualLines].filter(line => !expectedLines.has(line));
+  assert.fail(`Triples differ from ${path.relative(process.cwd(), expectedFile)}\n` +
+    `missing:\n  ${missing.join('\n  ')}\nunexpected:\n  ${extra.join('\n  ')}`);
+}
+
+// SPARQL JSON results with the bindings as sorted strings, to compare them
+// regardless of order
+function comparableResults(json) {
+  if ('boolean' in json) return { boolean: json.boolean };
+  const binding = row => JSON.stringify(Object.keys(row).sort().map(name => [name, row[name]]));
+  return {
+    vars: [...json.head.vars].sort(),
+    bindings: json.results.bindings.map(binding).sort(),
+  };
+}
+
+// Check an output against its expected file, or write it with GOLDEN_UPDATE
+async function checkGolden(expectedFile, actual, write, compare) {
+  if (update) {
+    fs.mkdirSync(path.dirname(expectedFile), { recursive: true });
+    fs.writeFileSync(expectedFile, await write(actual), 'utf8');
+    return;
+  }
+  assert.ok(fs.existsSync(expectedFile),
+    `${path.relative(process.cwd(), expectedFile)} is missing, GOLDEN_UPDATE=1 npm test writes it`);
+  await compare(actual, expectedFile);
+}
+
+for (const name of fs.readdirSync(CASES_DIR).sort()) {
+  const caseDir = path.join(CASES_DIR, name);
+  if (!fs.existsSync(path.join(caseDir, 'pipeline.yaml'))) continue;
+
+  test(name, async () => {
+    const pipeline = loadPipeline(path.join(caseDir, 'pipeline.yaml'));
+    const expected = file => path.join(caseDir, 'expected', file);
+
+    const { triples, reasoningResults, queryResults } = await runPipeline(pipeline);
+
+    if (triples !== undefined) {
+      await checkGolden(expected('mapping.nt'), new N3.Parser().parse(triples), toNTriples, assertIsomorphic);
+    }
+    if (reasoningResults) {
+      await checkGolden(expected('inferred.nt'), reasoningResults.getQuads(null, null, null, null),
+        toNTriples, assertIsomorphic);
+    }
+    if (queryResults?.type === 'quads') {
+      await checkGolden(expected('query.nt'), queryResults.quads, toNTriples, assertIsomorphic);
+    } else if (queryResults) {
+      const json = JSON.parse(await formatQueryResult(queryResults, 'json'));
+      await checkGolden(expected('query.json'), json,
+        actual => `${JSON.stringify(actual, null, 2)}\n`,
+        (actual, expectedFile) => assert.deepEqual(
+          comparableResults(actual),
+          comparableResults(JSON.parse(fs.readFileSync(expectedFile, 'utf8'))),
+          `Query results differ from ${path.relative(process.cwd(), expectedFile)}`));
+    }
+  });
+}
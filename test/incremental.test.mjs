@@ -0,0 +1,125 @@
+// incremental.test.mjs
+// Incremental updates over a changing calls.csv: added, deleted and changed
+// rows give the same asserted and inferred triples as reasoning from scratch,
+// and an inference that still follows from another row is rederived. Rows
+// that join a changed parent are mapped again, and other reasoners reason
+// over all triples.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { isomorphic } from 'rdf-isomorphic';
+import { runIncrementalUpdate } from '../incremental.js';
+import { registerReasoner } from '../reasoners.js';
+import { runForwardChaining } from '../other/forward-chainer.js';
+import { configureLogger } from '../logger.js';
+
+const ROOT = path.join(path.dirname(fileURLToPath(import.meta.url)), '..');
+const mapping = fs.readFileSync(path.join(ROOT, 'mappings', 'calls.yml'), 'utf8');
+configureLogger({ level: 'warn' });
+
+const rules = `@prefix tv: <http://televic.health.be/ontology/>.
+@prefix math: <http://www.w3.org/2000/10/swap/math#>.
+{ ?call tv:priority ?priority. ?priority math:greaterThan 1. } => { ?call a tv:HighPriorityCall. }.
+{ ?call tv:callMadeBy ?room. } => { ?room a tv:ActiveRoom. }.`;
+
+const HEADER = 'id,timestamp,source,priority';
+const csv = (...rows) => [HEADER, ...rows].join('\n');
+const quadsOf = store => store.getQuads(null, null, null, null);
+const subjectsOf = (store, type) => store.getSubjects(
+  'http://www.w3.org/1999/02/22-rdf-syntax-ns#type', `http://televic.health.be/ontology/${type}`, null)
+  .map(term => term.value.slice(term.value.lastIndexOf('/') + 1))
+  .sort();
+
+// Update from the state file, checking the result against an update from scratch
+const updater = (state, options = {}) => async (inputFiles, update = {}) => {
+  const { yarrrml = mapping, reasoner } = { ...options, ...update };
+  const incremental = await runIncrementalUpdate(yarrrml, inputFiles, rules, { state, reasoner });
+  const scratch = await runIncrementalUpdate(yarrrml, inputFiles, rules);
+  assert.ok(isomorphic(quadsOf(incremental.asserted), quadsOf(scratch.asserted)), 'asserted triples differ');
+  assert.ok(isomorphic(quadsOf(incremental.inferred), quadsOf(scratch.inferred)), 'inferred triples differ');
+  return incremental;
+};
+
+test('updates retract, rederive and match reasoning from scratch', async () => {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'kg-incremental-'));
+  const calls = updater(path.join(directory, 'state.json'));
+  const update = content => calls({ 'calls.csv': content });
+
+  try {
+    const first = await update(csv('0,2024-01-01T10:00:00,room1,3', '1,2024-01-01T10:05:00,room1,2'));
+    assert.equal(first.changes.full, true);
+    assert.deepEqual(subjectsOf(first.inferred, 'HighPriorityCall'), ['0', '1']);
+    assert.deepEqual(subjectsOf(first.inferred, 'ActiveRoom'), ['room1']);
+
+    // Deleting call 0 retracts its inference, room1 is still active through call 1
+    const deleted = await update(csv('1,2024-01-01T10:05:00,room1,2'));
+    assert.equal(deleted.changes.full, false);
+    assert.deepEqual(deleted.changes.rows, { added: 0, removed: 1 });
+    assert.deepEqual(subjectsOf(deleted.inferred, 'HighPriorityCall'), ['1']);
+    assert.deepEqual(subjectsOf(deleted.inferred, 'ActiveRoom'), ['room1']);
+
+    // Changing call 1 to another room and a low priority is a removed and an added row
+    const changed = await update(csv('1,2024-01-01T10:05:00,room2,1'));
+    assert.deepEqual(changed.changes.rows, { added: 1, removed: 1 });
+    assert.deepEqual(subjectsOf(changed.inferred, 'HighPriorityCall'), []);
+    assert.deepEqual(subjectsOf(changed.inferred, 'ActiveRoom'), ['room2']);
+    assert.deepEqual(changed.changes.inferences, { added: 1, removed: 2 });
+  } finally {
+    fs.rmSync(directory, { recursive: true, force: true });
+  }
+});
+
+test('calls that join a changed room are mapped again', async () => {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'kg-incremental-'));
+  const update = updater(path.join(directory, 'state.json'),
+    { yarrrml: fs.readFileSync(path.join(ROOT, 'mappings', 'calls-rooms.yml'), 'utf8') });
+  const rooms = (...rows) => ['id,name,ward', ...rows].join('\n');
+  const calls = csv('0,2024-01-01T10:00:00,room3,3');
+
+  try {
+    const first = await update({ 'calls.csv': calls, 'rooms.csv': rooms('room1,Room 1,A') });
+    assert.deepEqual(subjectsOf(first.inferred, 'ActiveRoom'), []);
+
+    // The call now joins room3, without changing itself
+    const added = await update({ 'calls.csv': calls, 'rooms.csv': rooms('room1,Room 1,A', 'room3,Room 3,B') });
+    assert.equal(added.changes.full, false);
+    assert.deepEqual(added.changes.rows, { added: 1, removed: 0 });
+    assert.deepEqual(subjectsOf(added.inferred, 'ActiveRoom'), ['room3']);
+
+    const removed = await update({ 'calls.csv': calls, 'rooms.csv': rooms('room1,Room 1,A') });
+    assert.deepEqual(removed.changes.rows, { added: 0, removed: 1 });
+    assert.deepEqual(subjectsOf(removed.inferred, 'ActiveRoom'), []);
+  } finally {
+    fs.rmSync(directory, { recursive: true, force: true });
+  }
+});
+
+test('another reasoner reasons over all triples of an update', async () => {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'kg-incremental-'));
+  const reasoned = [];
+  registerReasoner('counting', {
+    reason: (triples, reasonerRules, options) => {
+      reasoned.push(triples.split('\n').length);
+      return runForwardChaining(triples, reasonerRules, options);
+    },
+  });
+  const update = updater(path.join(directory, 'state.json'), { reasoner: 'counting' });
+
+  try {
+    await update({ 'calls.csv': csv('0,2024-01-01T10:00:00,room1,3') });
+    const second = await update({ 'calls.csv': csv('0,2024-01-01T10:00:00,room1,3', '1,2024-01-01T10:05:00,room2,2') });
+    assert.equal(second.changes.full, false);
+    assert.deepEqual(subjectsOf(second.inferred, 'HighPriorityCall'), ['0', '1']);
+    assert.equal(reasoned.length, 2);
+    assert.ok(reasoned[1] > reasoned[0]);
+
+    // Another reasoner than the state was made with means a full update
+    const js = await update({ 'calls.csv': csv('0,2024-01-01T10:00:00,room1,3') }, { reasoner: 'js' });
+    assert.equal(js.changes.full, true);
+  } finally {
+    fs.rmSync(directory, { recursive: true, force: true });
+  }
+});
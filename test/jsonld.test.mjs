@@ -0,0 +1,56 @@
+// jsonld.test.mjs
+// JSON-LD to RDF with jsonld.js: contexts, nested nodes, lists, datatypes,
+// language tags and named graphs.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as N3 from 'n3';
+import { isomorphic } from 'rdf-isomorphic';
+import { jsonLdToQuads, jsonLdToNTriples, jsonLdToNQuads } from '../helpers.js';
+
+const document = {
+  '@context': {
+    tv: 'http://televic.health.be/ontology/',
+    xsd: 'http://www.w3.org/2001/XMLSchema#',
+    priority: { '@id': 'tv:priority', '@type': 'xsd:integer' },
+    callMadeBy: { '@id': 'tv:callMadeBy', '@type': '@id' },
+    label: { '@id': 'http://www.w3.org/2000/01/rdf-schema#label', '@language': 'nl' },
+    steps: { '@id': 'tv:steps', '@container': '@list' },
+  },
+  '@id': 'urn:graph:calls',
+  '@graph': [{
+    '@id': 'http://televic.health.be/calls/0',
+    '@type': 'tv:Call',
+    priority: '3',
+    callMadeBy: 'http://televic.health.be/rooms/room1',
+    label: 'oproep',
+    steps: ['ring', 'answer'],
+    'tv:handledBy': { 'tv:name': 'nurse' },
+  }],
+};
+
+const expected = `
+@prefix tv: <http://televic.health.be/ontology/>.
+@prefix xsd: <http://www.w3.org/2001/XMLSchema#>.
+<urn:graph:calls> {
+  <http://televic.health.be/calls/0> a tv:Call;
+    tv:priority "3"^^xsd:integer;
+    tv:callMadeBy <http://televic.health.be/rooms/room1>;
+    <http://www.w3.org/2000/01/rdf-schema#label> "oproep"@nl;
+    tv:steps ("ring" "answer");
+    tv:handledBy [ tv:name "nurse" ].
+}`;
+
+test('JSON-LD converts to quads as in its context, keeping the named graph', async () => {
+  const quads = await jsonLdToQuads(document);
+  assert.ok(isomorphic(quads, new N3.Parser({ format: 'TriG' }).parse(expected)));
+});
+
+test('N-Triples merge the named graphs, N-Quads keep them', async () => {
+  const triples = new N3.Parser().parse(await jsonLdToNTriples(document));
+  assert.equal(triples.length, 11);
+  assert.ok(triples.every(item => item.graph.termType === 'DefaultGraph'));
+
+  const quads = new N3.Parser({ format: 'N-Quads' }).parse(await jsonLdToNQuads(document));
+  assert.equal(quads.length, 11);
+  assert.ok(quads.every(item => item.graph.value === 'urn:graph:calls'));
+});
@@ -0,0 +1,55 @@
+// logger.test.mjs
+// The log goes to stderr at every level, in the text and the JSON format, so
+// stdout only has the output of a command.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { logger, configureLogger } from '../logger.js';
+
+// The text written to stdout and stderr while run() logs; the test runner
+// reports through stdout too, with buffers
+function capture(run) {
+  const written = { stdout: [], stderr: [] };
+  const writes = {};
+  for (const name of ['stdout', 'stderr']) {
+    const stream = process[name];
+    writes[name] = stream.write;
+    stream.write = function (chunk, ...rest) {
+      if (typeof chunk !== 'string') return writes[name].call(this, chunk, ...rest);
+      written[name].push(chunk);
+      return true;
+    };
+  }
+  try {
+    run();
+  } finally {
+    process.stdout.write = writes.stdout;
+    process.stderr.write = writes.stderr;
+  }
+  return written;
+}
+
+test('every level logs to stderr', () => {
+  try {
+    configureLogger({ level: 'debug', format: 'text' });
+    const text = capture(() => {
+      logger.debug('debug message');
+      logger.info('info message');
+      logger.warn('warn message');
+      logger.error('error message');
+    });
+    assert.deepEqual(text.stdout, []);
+    assert.deepEqual(text.stderr, ['debug message\n', 'info message\n', 'warn message\n', 'error message\n']);
+
+    configureLogger({ format: 'json' });
+    const json = capture(() => logger.info('Stage map finished', { stage: 'map', triples: 15 }));
+    assert.deepEqual(json.stdout, []);
+    const { time, ...record } = JSON.parse(json.stderr[0]);
+    assert.match(time, /^\d{4}-\d\d-\d\dT/);
+    assert.deepEqual(record, { level: 'info', message: 'Stage map finished', stage: 'map', triples: 15 });
+
+    configureLogger({ level: 'warn' });
+    assert.deepEqual(capture(() => logger.info('info message')), { stdout: [], stderr: [] });
+  } finally {
+    configureLogger({ level: 'info', format: 'text' });
+  }
+});
@@ -0,0 +1,69 @@
+// named-graphs.test.mjs
+// The named graphs that separate what was recorded from what the rules
+// concluded: the default graph of queries, GRAPH patterns, and the dataset
+// stage that writes the graphs.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import * as N3 from 'n3';
+import { buildDataset, runSparqlQuery, ASSERTED_GRAPH, INFERRED_GRAPH } from '../helpers.js';
+import { resolvePipeline, runDatasetStage } from '../pipeline.js';
+import { configureLogger } from '../logger.js';
+
+configureLogger({ level: 'warn' });
+
+const TV = 'http://televic.health.be/ontology/';
+const { quad, namedNode } = N3.DataFactory;
+const call = namedNode('http://televic.health.be/calls/0');
+const type = namedNode('http://www.w3.org/1999/02/22-rdf-syntax-ns#type');
+const asserted = [
+  quad(call, type, namedNode(`${TV}Call`), namedNode('urn:graph:source:calls.csv')),
+];
+const inferred = [quad(call, type, namedNode(`${TV}HighPriorityCall`))];
+const triplesOf = (store, graph) => store.getQuads(null, null, null, graph).map(item => item.object.value).sort();
+
+test('the dataset keeps asserted, source and inferred triples apart', () => {
+  const merged = buildDataset(asserted, inferred);
+  assert.deepEqual(triplesOf(merged, namedNode(ASSERTED_GRAPH)), [`${TV}Call`]);
+  assert.deepEqual(triplesOf(merged, namedNode('urn:graph:source:calls.csv')), [`${TV}Call`]);
+  assert.deepEqual(triplesOf(merged, namedNode(INFERRED_GRAPH)), [`${TV}HighPriorityCall`]);
+  assert.deepEqual(triplesOf(merged, N3.DataFactory.defaultGraph()), [`${TV}Call`, `${TV}HighPriorityCall`]);
+
+  assert.deepEqual(triplesOf(buildDataset(asserted, inferred, { defaultGraph: 'asserted' }), N3.DataFactory.defaultGraph()),
+    [`${TV}Call`]);
+  assert.equal(buildDataset(asserted, inferred, { defaultGraph: false }).countQuads(null, null, null, N3.DataFactory.defaultGraph()), 0);
+});
+
+test('queries tell the graphs apart with GRAPH', async () => {
+  const nquads = `<${call.value}> <${type.value}> <${TV}Call> <urn:graph:source:calls.csv> .`;
+  const reasoning = new N3.Store(inferred);
+  const result = await runSparqlQuery(nquads, `SELECT ?graph ?type WHERE { GRAPH ?graph { ?call a ?type } }`,
+    reasoning, false, { print: false });
+  const rows = result.bindings.map(row => `${row.get('graph').value} ${row.get('type').value.slice(TV.length)}`).sort();
+  assert.deepEqual(rows, [
+    'urn:graph:asserted Call',
+    'urn:graph:inferred HighPriorityCall',
+    'urn:graph:source:calls.csv Call',
+  ]);
+
+  // Without the reasoning results, the default graph only has the asserted triples
+  const ask = await runSparqlQuery(nquads, `ASK { ?call a <${TV}HighPriorityCall> }`, reasoning, false, { print: false });
+  assert.equal(ask.boolean, false);
+});
+
+test('the dataset stage writes the named graphs, not triples', async () => {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'kg-named-graphs-'));
+  try {
+    const pipeline = resolvePipeline({ dataset: { outputs: ['dataset.trig'] } }, directory);
+    await runDatasetStage(pipeline, `<${call.value}> <${type.value}> <${TV}Call> .`, new N3.Store(inferred));
+    const quads = new N3.Parser({ format: 'TriG' }).parse(fs.readFileSync(path.join(directory, 'dataset.trig'), 'utf8'));
+    assert.deepEqual(quads.map(item => item.graph.value).sort(), [ASSERTED_GRAPH, INFERRED_GRAPH]);
+
+    await assert.rejects(runDatasetStage(resolvePipeline({ dataset: { outputs: ['dataset.nt'] } }, directory), '', new N3.Store()),
+      /must be N-Quads, TriG or JSON-LD to keep the named graphs/);
+  } finally {
+    fs.rmSync(directory, { recursive: true, force: true });
+  }
+});
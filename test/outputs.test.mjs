@@ -0,0 +1,53 @@
+// outputs.test.mjs
+// The extra outputs of the map stage: the same triples in Turtle, N-Quads,
+// TriG and JSON-LD, compacted with a context, in the format of the extension
+// or the one that is set.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import * as N3 from 'n3';
+import { isomorphic } from 'rdf-isomorphic';
+import { resolvePipeline, runMapStage } from '../pipeline.js';
+import { jsonLdToQuads } from '../helpers.js';
+import { configureLogger } from '../logger.js';
+
+const ROOT = path.join(path.dirname(fileURLToPath(import.meta.url)), '..');
+configureLogger({ level: 'warn' });
+
+test('the map stage writes its triples in every output format', async () => {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'kg-outputs-'));
+  try {
+    const pipeline = resolvePipeline({
+      mapping: {
+        file: path.join(ROOT, 'mappings', 'calls.yml'),
+        mapper: 'own',
+        sources: { 'calls.csv': path.join(ROOT, 'calls.csv') },
+        output: 'results.nt',
+        outputs: [
+          'results.ttl',
+          'results.nq',
+          { file: 'results.txt', format: 'trig' },
+          { file: 'results.jsonld', context: path.join(ROOT, 'contexts', 'calls.jsonld') },
+        ],
+      },
+    }, directory);
+    const triples = new N3.Parser().parse(await runMapStage(pipeline));
+    const read = file => fs.readFileSync(path.join(directory, file), 'utf8');
+
+    assert.ok(isomorphic(new N3.Parser().parse(read('results.nt')), triples));
+    assert.match(read('results.ttl'), /@prefix tv: <http:\/\/televic\.health\.be\/ontology\/>/);
+    for (const [file, format] of [['results.ttl', 'Turtle'], ['results.nq', 'N-Quads'], ['results.txt', 'TriG']]) {
+      assert.ok(isomorphic(new N3.Parser({ format }).parse(read(file)), triples), `${file} differs`);
+    }
+
+    // Compacted with the context of the calls, which gives the terms back as they were
+    const jsonLd = JSON.parse(read('results.jsonld'));
+    assert.equal(jsonLd['@context'].priority['@type'], 'xsd:integer');
+    assert.ok(isomorphic(await jsonLdToQuads(jsonLd), triples));
+  } finally {
+    fs.rmSync(directory, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,113 @@
+// provenance.test.mjs
+// The PROV-O provenance of mapped triples: the bundle of every row with its
+// source, row number, TriplesMap and run, with both mappers, and the
+// provenance output of the map stage.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import * as N3 from 'n3';
+import { runSparqlQuery } from '../helpers.js';
+import { mapContents, resolvePipeline, runMapStage } from '../pipeline.js';
+import { restrictProvenance } from '../other/provenance.js';
+import { configureLogger } from '../logger.js';
+
+const ROOT = path.join(path.dirname(fileURLToPath(import.meta.url)), '..');
+configureLogger({ level: 'error' });
+
+const mapping = fs.readFileSync(path.join(ROOT, 'mappings', 'calls.yml'), 'utf8');
+const inputFiles = { 'calls.csv': fs.readFileSync(path.join(ROOT, 'calls.csv'), 'utf8') };
+const key = item => `${item.subject.id} ${item.predicate.id} ${item.object.id}`;
+
+// The query of the README: where a call came from
+const ORIGIN = `PREFIX prov: <http://www.w3.org/ns/prov#>
+PREFIX tv: <http://televic.health.be/ontology/>
+PREFIX kgprov: <http://televic.health.be/provenance#>
+PREFIX rdfs: <http://www.w3.org/2000/01/rdf-schema#>
+SELECT ?bundle ?source ?row ?rule ?started ?ended WHERE {
+  GRAPH ?bundle { <http://televic.health.be/calls/2> a tv:Call }
+  ?bundle prov:wasDerivedFrom/rdfs:label ?source; kgprov:sourceRow ?row; kgprov:mappingRule ?rule;
+    prov:wasGeneratedBy ?run.
+  ?run a prov:Activity; prov:startedAtTime ?started; prov:endedAtTime ?ended.
+}`;
+
+async function origin(provenance) {
+  const result = await runSparqlQuery(new N3.Store(provenance), ORIGIN, undefined, false, { print: false });
+  return result.bindings.map(row => Object.fromEntries(result.variables.map(name => [name, row.get(name).value])));
+}
+
+test('the own mapper puts every triple in the bundle of its row', async () => {
+  const before = new Date();
+  const { triples, provenance } = await mapContents(mapping, inputFiles, { mapper: 'own', provenance: true });
+
+  const traced = new Set(provenance.filter(item => item.graph.value.startsWith('urn:prov:row:')).map(key));
+  const mapped = new N3.Parser().parse(triples);
+  assert.ok(mapped.length > 0);
+  assert.deepEqual(mapped.filter(item => !traced.has(key(item))), []);
+
+  const [row] = await origin(provenance);
+  assert.equal(row.bundle, 'urn:prov:row:calls:3');
+  assert.equal(row.source, 'calls.csv');
+  assert.equal(row.row, '3');
+  assert.equal(row.rule, 'http://mapping.example.com/map_calls_000');
+  assert.ok(new Date(row.started) >= before);
+  assert.ok(new Date(row.ended) >= new Date(row.started));
+});
+
+test('rmlmapper-js triples get the provenance of the own mapper', async () => {
+  const { provenance } = await mapContents(mapping, inputFiles, { mapper: 'rmlmapper-js', provenance: true });
+  const [row] = await origin(provenance);
+  assert.equal(row.bundle, 'urn:prov:row:calls:3');
+  assert.equal(row.row, '3');
+});
+
+test('only the provenance of triples that both mappers generated is kept', () => {
+  const { namedNode, blankNode, literal, quad } = N3.DataFactory;
+  const call = id => namedNode(`http://televic.health.be/calls/${id}`);
+  const hasID = namedNode('http://televic.health.be/ontology/hasID');
+  const sourceRow = namedNode('http://televic.health.be/provenance#sourceRow');
+  const bundle = row => namedNode(`urn:prov:row:calls:${row}`);
+  const provenance = [
+    quad(call(0), hasID, literal('0'), bundle(1)),
+    quad(bundle(1), sourceRow, literal('1')),
+    quad(call(1), hasID, literal('1'), bundle(2)),
+    quad(bundle(2), sourceRow, literal('2')),
+  ];
+
+  const restricted = restrictProvenance(provenance, [
+    quad(call(0), hasID, literal('0')),
+    quad(blankNode('location'), hasID, literal('0')),
+  ]);
+  assert.equal(restricted.traced, 1);
+  assert.equal(restricted.untraced, 1);
+  // The bundle of the second row has no triples left, so it is not described either
+  assert.deepEqual(restricted.quads, provenance.slice(0, 2));
+});
+
+test('the map stage writes the provenance with its row graphs', async () => {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'kg-provenance-'));
+  try {
+    const definition = provenance => ({
+      mapping: {
+        file: path.join(ROOT, 'mappings', 'calls.yml'),
+        mapper: 'own',
+        sources: { 'calls.csv': path.join(ROOT, 'calls.csv') },
+        provenance,
+      },
+    });
+    await runMapStage(resolvePipeline(definition('provenance.trig'), directory));
+    const quads = new N3.Parser({ format: 'TriG' }).parse(fs.readFileSync(path.join(directory, 'provenance.trig'), 'utf8'));
+    const [row] = await origin(quads);
+    assert.equal(row.row, '3');
+
+    await assert.rejects(runMapStage(resolvePipeline(definition('provenance.nt'), directory)),
+      /must be N-Quads, TriG or JSON-LD to keep the row graphs/);
+    const streaming = resolvePipeline(definition('provenance.trig'), directory);
+    streaming.mapping.streaming = true;
+    await assert.rejects(runMapStage(streaming), /Provenance is not recorded in streaming mapping/);
+  } finally {
+    fs.rmSync(directory, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,127 @@
+// quadstore.test.mjs
+// The persistent quad store: replacing triples writes only what changed, with
+// the same blank-node labels in every run, SPARQL updates report their
+// changes, and the data survives closing the store.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import * as N3 from 'n3';
+import { openQuadStore, closeQuadStores, replaceTriples, loadQuads, describeQuadStore } from '../quadstore.js';
+import { executeSparql, ASSERTED_GRAPH, INFERRED_GRAPH } from '../helpers.js';
+import { resolvePipeline, runStoreCommand } from '../pipeline.js';
+import { configureLogger } from '../logger.js';
+
+configureLogger({ level: 'warn' });
+
+const TV = 'http://televic.health.be/ontology/';
+const { quad, namedNode, blankNode, literal, defaultGraph } = N3.DataFactory;
+const call = namedNode('http://televic.health.be/calls/0');
+const type = namedNode('http://www.w3.org/1999/02/22-rdf-syntax-ns#type');
+const priority = value => literal(String(value), namedNode('http://www.w3.org/2001/XMLSchema#integer'));
+
+// The mapped triples of one run: a call with a blank-node location, whose
+// label differs in every run
+const mapped = (label, level = 3) => [
+  quad(call, type, namedNode(`${TV}Call`), namedNode('urn:graph:source:calls.csv')),
+  quad(call, namedNode(`${TV}priority`), priority(level), namedNode('urn:graph:source:calls.csv')),
+  quad(call, namedNode(`${TV}location`), blankNode(label), namedNode('urn:graph:source:calls.csv')),
+  quad(blankNode(label), namedNode(`${TV}room`), literal('room1'), namedNode('urn:graph:source:calls.csv')),
+];
+const graphCount = async (store, graph) => (await store.getQuads(null, null, null, graph)).length;
+
+// Open a store in a new directory for the duration of run(store, directory)
+async function withStore(run) {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'kg-quadstore-'));
+  try {
+    await run(await openQuadStore(directory), directory);
+  } finally {
+    await closeQuadStores();
+    fs.rmSync(directory, { recursive: true, force: true });
+  }
+}
+
+test('replacing the same triples writes nothing, a changed triple only itself', async () => {
+  await withStore(async store => {
+    assert.deepEqual(await replaceTriples(store, 'asserted', mapped('b0')), { added: 4, removed: 0 });
+    assert.equal(await graphCount(store, namedNode(ASSERTED_GRAPH)), 4);
+    assert.equal(await graphCount(store, namedNode('urn:graph:source:calls.csv')), 4);
+    assert.equal(await graphCount(store, defaultGraph()), 4);
+
+    // The parser of another run labels the blank node differently
+    assert.deepEqual(await replaceTriples(store, 'asserted', mapped('other')), { added: 0, removed: 0 });
+    assert.deepEqual(await replaceTriples(store, 'asserted', mapped('b0', 1)), { added: 1, removed: 1 });
+    const priorities = await store.getQuads(call, namedNode(`${TV}priority`), null, null);
+    assert.deepEqual([...new Set(priorities.map(item => item.object.value))], ['1']);
+    assert.equal(priorities.length, 3);
+  });
+});
+
+test('the default graph keeps a triple while the asserted or inferred graph has it', async () => {
+  await withStore(async store => {
+    const highPriority = quad(call, type, namedNode(`${TV}HighPriorityCall`));
+    await replaceTriples(store, 'asserted', [highPriority]);
+    await replaceTriples(store, 'inferred', [highPriority]);
+
+    await replaceTriples(store, 'asserted', []);
+    assert.equal(await store.has(highPriority), true);
+    assert.deepEqual(await replaceTriples(store, 'inferred', []), { added: 0, removed: 1 });
+    assert.equal(await store.has(highPriority), false);
+    assert.equal(await graphCount(store, namedNode(INFERRED_GRAPH)), 0);
+  });
+});
+
+test('SPARQL updates report the quads they changed', async () => {
+  await withStore(async store => {
+    await replaceTriples(store, 'asserted', mapped('b0'));
+    const result = await executeSparql(store, `PREFIX tv: <${TV}>
+      DELETE { ?call tv:priority ?old } INSERT { ?call tv:priority 1 } WHERE { ?call tv:priority ?old }`);
+    assert.equal(result.type, 'update');
+    assert.deepEqual(result.inserted.map(item => item.object.value), ['1']);
+    assert.deepEqual(result.deleted.map(item => item.object.value), ['3']);
+
+    const select = await executeSparql(store, `SELECT ?graph WHERE { GRAPH ?graph { ?call a <${TV}Call> } }`);
+    assert.deepEqual(select.bindings.map(row => row.get('graph').value).sort(),
+      [ASSERTED_GRAPH, 'urn:graph:source:calls.csv']);
+  });
+});
+
+test('the store keeps its quads after it is closed', async () => {
+  await withStore(async (store, directory) => {
+    assert.equal(await loadQuads(store, mapped('b0'), { graph: 'urn:graph:extra' }), 4);
+    // Loading the same quads again adds nothing
+    await loadQuads(store, mapped('b1'), { graph: 'urn:graph:extra' });
+    await store.close();
+
+    const reopened = await openQuadStore(directory);
+    assert.notEqual(reopened, store);
+    assert.equal(await graphCount(reopened, namedNode('urn:graph:source:calls.csv')), 4);
+    assert.match(await describeQuadStore(reopened), /: 4 quads\n {2}urn:graph:source:calls\.csv +4\n {2}\d+ bytes on disk$/);
+  });
+});
+
+test('the store command loads, clears and compacts the store', async () => {
+  await withStore(async (store, directory) => {
+    const data = path.join(directory, '..', `${path.basename(directory)}.ttl`);
+    fs.writeFileSync(data, `<${call.value}> a <${TV}Call> .\n_:room <${TV}name> "room1" .\n`, 'utf8');
+    try {
+      const pipeline = resolvePipeline({ store: { path: directory } });
+      await runStoreCommand(pipeline, 'load', { data, graph: 'urn:graph:extra' });
+      await runStoreCommand(pipeline, 'load', { data, graph: 'urn:graph:extra' });
+      assert.equal(await graphCount(store, namedNode('urn:graph:extra')), 2);
+
+      await runStoreCommand(pipeline, 'load', { data });
+      await runStoreCommand(pipeline, 'clear', { graph: 'urn:graph:extra' });
+      assert.equal(await graphCount(store, namedNode('urn:graph:extra')), 0);
+      assert.equal(await graphCount(store, defaultGraph()), 2);
+
+      await runStoreCommand(pipeline, 'clear');
+      await runStoreCommand(pipeline, 'compact');
+      assert.equal((await store.getQuads(null, null, null, null)).length, 0);
+      await assert.rejects(runStoreCommand(pipeline, 'drop'), /Unknown store action 'drop'/);
+    } finally {
+      fs.rmSync(data, { force: true });
+    }
+  });
+});
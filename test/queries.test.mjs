@@ -0,0 +1,89 @@
+// queries.test.mjs
+// The SPARQL query forms of runSparqlQuery, and an update written back into
+// the source graphs of the own mapper.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import * as N3 from 'n3';
+import { runSparqlQuery } from '../helpers.js';
+import { resolvePipeline, runMapStage, runQueryStage } from '../pipeline.js';
+import { configureLogger } from '../logger.js';
+
+const ROOT = path.join(path.dirname(fileURLToPath(import.meta.url)), '..');
+configureLogger({ level: 'warn' });
+
+const PREFIX = 'PREFIX tv: <http://televic.health.be/ontology/>\n';
+const triples = [
+  '<http://televic.health.be/calls/0> <http://televic.health.be/ontology/priority> "3"^^<http://www.w3.org/2001/XMLSchema#integer> .',
+  '<http://televic.health.be/calls/1> <http://televic.health.be/ontology/priority> "1"^^<http://www.w3.org/2001/XMLSchema#integer> .',
+].join('\n');
+const query = (sparql, options = {}) => runSparqlQuery(triples, PREFIX + sparql, undefined, false, { print: false, ...options });
+
+test('every query form has its own result', async () => {
+  const select = await query('SELECT ?call WHERE { ?call tv:priority ?priority. FILTER(?priority > 1) }');
+  assert.equal(select.type, 'bindings');
+  assert.deepEqual(select.variables, ['call']);
+  assert.deepEqual(select.bindings.map(row => row.get('call').value), ['http://televic.health.be/calls/0']);
+
+  assert.deepEqual(await query('ASK { ?call tv:priority 1 }').then(({ type, boolean }) => ({ type, boolean })),
+    { type: 'boolean', boolean: true });
+
+  const construct = await query('CONSTRUCT { ?call a tv:HighPriorityCall } WHERE { ?call tv:priority 3 }');
+  assert.equal(construct.type, 'quads');
+  assert.equal(construct.quads.length, 1);
+  assert.equal(construct.quads[0].object.value, 'http://televic.health.be/ontology/HighPriorityCall');
+
+  const describe = await query('DESCRIBE <http://televic.health.be/calls/1>');
+  assert.equal(describe.type, 'quads');
+  assert.equal(describe.quads.length, 1);
+});
+
+test('updates report their changes unless they are refused', async () => {
+  const update = await query('DELETE { ?call tv:priority 1 } INSERT { ?call tv:priority 2 } WHERE { ?call tv:priority 1 }');
+  assert.equal(update.type, 'update');
+  assert.equal(update.inserted.length, 1);
+  assert.equal(update.deleted.length, 1);
+  assert.equal(update.store.countQuads(null, null, null, N3.DataFactory.defaultGraph()), 2);
+
+  await assert.rejects(query('INSERT DATA { <http://televic.health.be/calls/2> tv:priority 0 }', { readOnly: true }),
+    error => error.update === true);
+});
+
+test('an update written back leaves every graph of the own mapper', async () => {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'kg-queries-'));
+  try {
+    fs.writeFileSync(path.join(directory, 'update.rq'), PREFIX + [
+      'DELETE { ?call tv:priority ?priority } INSERT { ?call tv:priority 1 }',
+      'WHERE { ?call tv:priority ?priority. FILTER(?priority > 1) }',
+    ].join('\n'), 'utf8');
+    const pipeline = resolvePipeline({
+      mapping: {
+        file: path.join(ROOT, 'mappings', 'calls.yml'),
+        mapper: 'own',
+        graphPerSource: true,
+        sources: { 'calls.csv': path.join(ROOT, 'calls.csv') },
+        outputs: ['mapped.nq'],
+      },
+      query: { file: 'update.rq', data: 'mapped.nq', useReasoningResults: false, writeBack: true },
+    }, directory);
+    await runMapStage(pipeline);
+    await runQueryStage(pipeline);
+
+    // The old priorities are gone from the source graph, not only from the default graph
+    const store = new N3.Store(new N3.Parser({ format: 'N-Quads' }).parse(
+      fs.readFileSync(path.join(directory, 'mapped.nq'), 'utf8')));
+    const priorities = store.getQuads(null, 'http://televic.health.be/ontology/priority', null, null)
+      .map(item => `${item.subject.value.slice(-1)} ${item.object.value} ${item.graph.value}`)
+      .sort();
+    assert.deepEqual(priorities, [
+      '0 1 ',
+      '1 1 ',
+      '2 0 urn:graph:source:calls.csv',
+    ]);
+  } finally {
+    fs.rmSync(directory, { recursive: true, force: true });
+  }
+});
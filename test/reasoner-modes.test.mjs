@@ -0,0 +1,75 @@
+// reasoner-modes.test.mjs
+// The reasoner modes: only the derivations, the deductive closure, what an N3
+// query document keeps, and the tree and conclusions of an EYE proof.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as N3 from 'n3';
+import { runEyeReasoner, getProofConclusions, buildProofTree, formatProofTree } from '../helpers.js';
+import { runReasoner } from '../reasoners.js';
+import { configureLogger } from '../logger.js';
+
+configureLogger({ level: 'warn' });
+
+const PREFIXES = '@prefix tv: <http://televic.health.be/ontology/>.\n@prefix math: <http://www.w3.org/2000/10/swap/math#>.\n';
+const triples = [
+  '<http://televic.health.be/calls/0> a <http://televic.health.be/ontology/Call> .',
+  '<http://televic.health.be/calls/0> <http://televic.health.be/ontology/priority> 3 .',
+  '<http://televic.health.be/calls/1> a <http://televic.health.be/ontology/Call> .',
+  '<http://televic.health.be/calls/1> <http://televic.health.be/ontology/priority> 1 .',
+].join('\n');
+const rules = `${PREFIXES}
+{ ?call a tv:Call. ?call tv:priority ?priority. ?priority math:greaterThan 1. } => { ?call a tv:HighPriorityCall. }.
+{ ?call a tv:Call. } => { ?call tv:status "open". }.`;
+
+const reason = (mode, query) => runReasoner('js', triples, rules, { mode, query, inputFile: false, outputFile: false });
+
+test('derivations are only the inferred triples, the closure adds the input', async () => {
+  const derivations = await reason('derivations');
+  assert.equal(derivations.size, 3);
+  assert.equal(derivations.countQuads(null, 'http://televic.health.be/ontology/priority', null, null), 0);
+
+  const closure = await reason('closure');
+  assert.equal(closure.size, 7);
+});
+
+test('the query mode keeps what the N3 query document gives', async () => {
+  const query = `${PREFIXES}{ ?call a tv:HighPriorityCall. } => { ?call a tv:HighPriorityCall. }.`;
+  const result = await reason('query', query);
+  assert.deepEqual(result.getSubjects(null, null, null).map(term => term.value),
+    ['http://televic.health.be/calls/0']);
+  await assert.rejects(runEyeReasoner(triples, rules, { mode: 'query' }), /requires an N3 query document/);
+  await assert.rejects(runEyeReasoner(triples, rules, { mode: 'guess' }), /Unknown reasoner mode 'guess'/);
+});
+
+// An EYE proof of one inference, as runEyeReasoner returns it in the proof mode
+const proof = `${PREFIXES}
+@prefix r: <http://www.w3.org/2000/10/swap/reason#>.
+@prefix p: <http://example.com/proof#>.
+p:proof a r:Proof, r:Conjunction;
+  r:component p:inference;
+  r:gives { <http://televic.health.be/calls/0> a tv:HighPriorityCall. }.
+p:inference a r:Inference;
+  r:gives { <http://televic.health.be/calls/0> a tv:HighPriorityCall. };
+  r:evidence (p:call);
+  r:rule p:rule.
+p:call a r:Extraction;
+  r:gives { <http://televic.health.be/calls/0> a tv:Call. };
+  r:because [ a r:Parsing; r:source <file:///data.n3s> ].
+p:rule a r:Extraction;
+  r:gives { { ?call a tv:Call. } => { ?call a tv:HighPriorityCall. }. };
+  r:because [ a r:Parsing; r:source <file:///rules.n3s> ].`;
+
+test('a proof gives its conclusions and a tree of its steps', () => {
+  const store = new N3.Store(new N3.Parser({ format: 'text/n3' }).parse(proof));
+  const conclusions = getProofConclusions(store);
+  assert.equal(conclusions.length, 1);
+  assert.equal(conclusions[0].object.value, 'http://televic.health.be/ontology/HighPriorityCall');
+  assert.equal(conclusions[0].graph.termType, 'DefaultGraph');
+
+  const tree = formatProofTree(buildProofTree(store, { tv: 'http://televic.health.be/ontology/' }));
+  assert.deepEqual(tree.split('\n'), [
+    '<http://televic.health.be/calls/0> a tv:HighPriorityCall.',
+    '├── rule { ?x0 a tv:Call. } => { ?x0 a tv:HighPriorityCall. }.  [rules.n3s]',
+    '└── <http://televic.health.be/calls/0> a tv:Call.  [data.n3s]',
+  ]);
+});
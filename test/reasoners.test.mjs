@@ -0,0 +1,46 @@
+// reasoners.test.mjs
+// Reasoners behind one interface: registering a reasoner, the modes it
+// supports, and diffing the results of two reasoners.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as N3 from 'n3';
+import { registerReasoner, runReasoner, compareReasoners, formatReasonerDiff } from '../reasoners.js';
+import { configureLogger } from '../logger.js';
+
+configureLogger({ level: 'warn' });
+
+const TV = 'http://televic.health.be/ontology/';
+const triples = `<http://televic.health.be/calls/0> a <${TV}Call>; <${TV}priority> 3 .`;
+const rules = `@prefix tv: <${TV}>. @prefix math: <http://www.w3.org/2000/10/swap/math#>.
+{ ?call tv:priority ?priority. ?priority math:greaterThan 1. } => { ?call a tv:HighPriorityCall. }.`;
+
+// A reasoner that only infers the high priority of call 0, and a wrong one
+const highPriority = new N3.Store([N3.DataFactory.quad(
+  N3.DataFactory.namedNode('http://televic.health.be/calls/0'),
+  N3.DataFactory.namedNode('http://www.w3.org/1999/02/22-rdf-syntax-ns#type'),
+  N3.DataFactory.namedNode(`${TV}HighPriorityCall`))]);
+registerReasoner('fixed', { modes: ['derivations'], reason: async () => highPriority });
+registerReasoner('empty', { modes: ['derivations'], reason: async () => new N3.Store() });
+
+test('a registered reasoner is run by name in the modes it supports', async () => {
+  assert.equal(await runReasoner('fixed', triples, rules), highPriority);
+  await assert.rejects(runReasoner('fixed', triples, rules, { mode: 'closure' }),
+    /Reasoner 'fixed' does not support mode 'closure', only derivations/);
+  await assert.rejects(runReasoner('nobody', triples, rules), /Unknown reasoner 'nobody'/);
+  assert.throws(() => registerReasoner('broken', {}), /must have a reason/);
+});
+
+test('reasoners that infer the same triples agree', async () => {
+  const diff = await compareReasoners(['js', 'fixed'], triples, rules);
+  assert.equal(diff.equal, true);
+  assert.equal(formatReasonerDiff(diff), 'js and fixed agree on all 1 triples');
+});
+
+test('the diff lists the triples only one reasoner inferred', async () => {
+  const diff = await compareReasoners(['js', 'empty'], triples, rules);
+  assert.equal(diff.equal, false);
+  assert.deepEqual(diff.onlyIn, {
+    js: [`<http://televic.health.be/calls/0> <http://www.w3.org/1999/02/22-rdf-syntax-ns#type> <${TV}HighPriorityCall> .`],
+    empty: [],
+  });
+});
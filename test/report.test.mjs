@@ -0,0 +1,75 @@
+// report.test.mjs
+// The data-quality report of the own mapper and its emit, skip and fail
+// policies, over calls with an empty id and an invalid priority, also in a
+// JSON array.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { convertYarmlToRML, doMappingWithReport } from '../other/rdf-processor.js';
+import { configureLogger } from '../logger.js';
+
+const ROOT = path.join(path.dirname(fileURLToPath(import.meta.url)), '..');
+configureLogger({ level: 'warn' });
+
+const calls = [
+  'id,timestamp,source,priority',
+  '0,2024-01-01T10:00:00,room1,3',
+  ',2024-01-01T10:05:00,room2,1',
+  '2,2024-01-01T10:10:00,room3,high',
+].join('\n');
+
+const map = async policy => doMappingWithReport(
+  await convertYarmlToRML(fs.readFileSync(path.join(ROOT, 'mappings', 'calls.yml'), 'utf8')),
+  { 'calls.csv': calls },
+  { policy });
+
+test('the report lists the issues per row', async () => {
+  const { report } = await map('emit');
+  assert.deepEqual(report.summary, { rows: 3, rowsWithIssues: 2, skippedRows: 0, issues: 3 });
+  const issues = report.triplesMaps.calls.issues.map(({ row, type }) => [row, type]);
+  assert.deepEqual(issues, [[2, 'empty-subject'], [2, 'missing-reference'], [3, 'invalid-datatype']]);
+});
+
+test('emit keeps the triples with issues and skip leaves them out', async () => {
+  const priorities = quads => quads
+    .filter(item => item.predicate.value === 'http://televic.health.be/ontology/priority')
+    .map(item => item.object.value)
+    .sort();
+
+  const emitted = await map('emit');
+  assert.deepEqual(priorities(emitted.quads), ['1', '3', 'high']);
+
+  const skipped = await map('skip');
+  assert.deepEqual(priorities(skipped.quads), ['3']);
+  assert.equal(skipped.report.summary.skippedRows, 1);
+  assert.ok(!skipped.quads.some(item => item.subject.value === 'http://televic.health.be/calls/'));
+});
+
+test('fail rejects with the report after mapping every row', async () => {
+  await assert.rejects(map('fail'), error => {
+    assert.match(error.message, /3 issues in 2 rows/);
+    assert.equal(error.report.summary.rows, 3);
+    return true;
+  });
+});
+
+test('skip leaves out the invalid elements of a JSON array', async () => {
+  const mapping = `prefixes:
+  tv: http://televic.health.be/ontology/
+  xsd: http://www.w3.org/2001/XMLSchema#
+mappings:
+  calls:
+    sources:
+      - ['calls.json~jsonpath', '$.calls[*]']
+    s: http://televic.health.be/calls/$(id)
+    po:
+      - [tv:priority, $(priorities), xsd:integer]
+`;
+  const { quads, report } = await doMappingWithReport(await convertYarmlToRML(mapping),
+    { 'calls.json': JSON.stringify({ calls: [{ id: 0, priorities: [3, 'high', 1] }] }) },
+    { policy: 'skip' });
+  assert.deepEqual(quads.map(item => item.object.value), ['3', '1']);
+  assert.equal(report.summary.issues, 1);
+});
@@ -0,0 +1,74 @@
+// result-formats.test.mjs
+// The SPARQL 1.1 result formats of SELECT and ASK results, the format of a
+// results file by its extension, and outputs without a file.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { runSparqlQuery, formatQueryResult, resultFormatForFile } from '../helpers.js';
+import { resolvePipeline } from '../pipeline.js';
+import { configureLogger } from '../logger.js';
+
+configureLogger({ level: 'warn' });
+
+const triples = [
+  '<http://televic.health.be/rooms/room1> <http://www.w3.org/2000/01/rdf-schema#label> "Room 1, east"@en .',
+  '<http://televic.health.be/rooms/room1> <http://televic.health.be/ontology/beds> "2"^^<http://www.w3.org/2001/XMLSchema#integer> .',
+  '<http://televic.health.be/rooms/room2> <http://www.w3.org/2000/01/rdf-schema#label> "Room \\"2\\"" .',
+].join('\n');
+const select = () => runSparqlQuery(triples, `SELECT ?room ?label ?beds WHERE {
+  ?room <http://www.w3.org/2000/01/rdf-schema#label> ?label.
+  OPTIONAL { ?room <http://televic.health.be/ontology/beds> ?beds }
+} ORDER BY ?room`, undefined, false, { print: false });
+
+test('SELECT results in json, xml, csv and tsv', async () => {
+  const result = await select();
+
+  const json = JSON.parse(await formatQueryResult(result, 'json'));
+  assert.deepEqual(json.head.vars, ['room', 'label', 'beds']);
+  assert.deepEqual(json.results.bindings[0], {
+    room: { type: 'uri', value: 'http://televic.health.be/rooms/room1' },
+    label: { type: 'literal', value: 'Room 1, east', 'xml:lang': 'en' },
+    beds: { type: 'literal', value: '2', datatype: 'http://www.w3.org/2001/XMLSchema#integer' },
+  });
+  // Unbound variables are left out of their row
+  assert.deepEqual(Object.keys(json.results.bindings[1]), ['room', 'label']);
+
+  const xml = await formatQueryResult(result, 'xml');
+  assert.match(xml, /<variable name="beds"\/>/);
+  assert.match(xml, /<binding name="label"><literal xml:lang="en">Room 1, east<\/literal><\/binding>/);
+  assert.match(xml, /<literal>Room &quot;2&quot;<\/literal>/);
+
+  assert.deepEqual((await formatQueryResult(result, 'csv')).trim().split(/\r?\n/), [
+    'room,label,beds',
+    'http://televic.health.be/rooms/room1,"Room 1, east",2',
+    'http://televic.health.be/rooms/room2,"Room ""2""",',
+  ]);
+  assert.deepEqual((await formatQueryResult(result, 'tsv')).replace(/\r?\n$/, '').split(/\r?\n/), [
+    '?room\t?label\t?beds',
+    '<http://televic.health.be/rooms/room1>\t"Room 1, east"@en\t"2"^^<http://www.w3.org/2001/XMLSchema#integer>',
+    '<http://televic.health.be/rooms/room2>\t"Room \\"2\\""\t',
+  ]);
+
+  await assert.rejects(formatQueryResult(result, 'yaml'), /Unknown SPARQL result format 'yaml'/);
+});
+
+test('ASK results in json and xml, not csv', async () => {
+  const result = await runSparqlQuery(triples, 'ASK { ?room <http://televic.health.be/ontology/beds> 2 }',
+    undefined, false, { print: false });
+  assert.deepEqual(JSON.parse(await formatQueryResult(result, 'json')), { head: {}, boolean: true });
+  assert.match(await formatQueryResult(result, 'xml'), /<boolean>true<\/boolean>/);
+  await assert.rejects(formatQueryResult(result, 'csv'), /ASK results cannot be written as csv/);
+});
+
+test('results files get the format of their extension', () => {
+  assert.equal(resultFormatForFile('results.srj'), 'json');
+  assert.equal(resultFormatForFile('results.XML'), 'xml');
+  assert.equal(resultFormatForFile('results.tsv'), 'tsv');
+  assert.throws(() => resultFormatForFile('results.ttl'), /Cannot tell the result format of results\.ttl/);
+});
+
+test('an output without a file is a config error', () => {
+  assert.throws(() => resolvePipeline({ reasoning: { outputs: [{ format: 'turtle' }] } }),
+    /Every entry of 'reasoning\.outputs' needs a file, got \{"format":"turtle"\}/);
+  assert.throws(() => resolvePipeline({ dataset: { outputs: [null] } }),
+    /Every entry of 'dataset\.outputs' needs a file, got null/);
+});
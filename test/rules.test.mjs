@@ -0,0 +1,56 @@
+// rules.test.mjs
+// The rule library: modules by name, whole directories of modules, disabled
+// modules, and rule files next to the modules.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { listRuleModules, loadRules } from '../helpers.js';
+import { runReasoner } from '../reasoners.js';
+import { configureLogger } from '../logger.js';
+
+configureLogger({ level: 'warn' });
+
+// The files a rule string was loaded from, in order
+const loadedFiles = rules => [...rules.matchAll(/^# Rules from (.+)$/gm)].map(match => match[1]);
+
+test('the library lists its modules with their description', () => {
+  const modules = listRuleModules();
+  const names = modules.map(({ name }) => name);
+  assert.ok(names.includes('priority-classification'));
+  assert.ok(names.includes('axioms/rdfs'));
+  assert.ok(modules.every(({ description }) => description.length > 0));
+});
+
+test('a directory of modules loads all of them unless disabled', () => {
+  assert.deepEqual(loadedFiles(loadRules({ modules: ['axioms'] })), ['owl-rl.n3', 'rdfs.n3']);
+  assert.deepEqual(loadedFiles(loadRules({ modules: ['axioms'], disable: ['axioms/owl-rl'] })), ['rdfs.n3']);
+  assert.throws(() => loadRules({ modules: ['no-such-module'] }), /Unknown rule module 'no-such-module'/);
+});
+
+test('own rule files are loaded once, after the modules', async () => {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'kg-rules-'));
+  try {
+    const urgent = path.join(directory, 'urgent.n3');
+    fs.writeFileSync(urgent, [
+      '# Calls with priority 3 are urgent',
+      '@prefix tv: <http://televic.health.be/ontology/>.',
+      '{ ?call tv:priority 3. } => { ?call a tv:UrgentCall. }.',
+    ].join('\n'), 'utf8');
+    const rules = loadRules({ modules: ['priority-classification'], files: [directory, urgent] });
+    assert.deepEqual(loadedFiles(rules), ['priority-classification.n3', 'urgent.n3']);
+
+    const triples = '<http://televic.health.be/calls/0> a <http://televic.health.be/ontology/Call>; ' +
+      '<http://televic.health.be/ontology/priority> 3 .';
+    const inferred = await runReasoner('js', triples, rules, { inputFile: false, outputFile: false });
+    const types = inferred.getObjects(null, 'http://www.w3.org/1999/02/22-rdf-syntax-ns#type', null)
+      .map(type => type.value).sort();
+    assert.deepEqual(types, [
+      'http://televic.health.be/ontology/HighPriorityCall',
+      'http://televic.health.be/ontology/UrgentCall',
+    ]);
+  } finally {
+    fs.rmSync(directory, { recursive: true, force: true });
+  }
+});
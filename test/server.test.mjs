@@ -0,0 +1,102 @@
+// server.test.mjs
+// The local SPARQL endpoint: content negotiation, read-only queries, updates
+// and Graph Store uploads only when they are allowed, and opt-in CORS.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as N3 from 'n3';
+import { createSparqlServer } from '../server.js';
+import { configureLogger } from '../logger.js';
+
+configureLogger({ level: 'warn' });
+
+const TV = 'http://televic.health.be/ontology/';
+const { quad, namedNode, literal } = N3.DataFactory;
+const callsStore = () => new N3.Store([
+  quad(namedNode('http://televic.health.be/calls/0'), namedNode(`${TV}priority`), literal('3', namedNode('http://www.w3.org/2001/XMLSchema#integer'))),
+]);
+const INSERT = `INSERT DATA { <http://televic.health.be/calls/1> <${TV}priority> 1 }`;
+
+// Serve a store on a free port for the duration of run(url)
+async function withServer(store, options, run) {
+  const server = createSparqlServer(store, options);
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  try {
+    await run(`http://127.0.0.1:${server.address().port}`);
+  } finally {
+    server.closeAllConnections();
+    await new Promise(resolve => server.close(resolve));
+  }
+}
+
+const form = fields => ({
+  method: 'POST',
+  headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+  body: new URLSearchParams(fields).toString(),
+});
+
+test('queries answer in the negotiated result format', async () => {
+  await withServer(callsStore(), {}, async base => {
+    const query = encodeURIComponent(`SELECT ?call WHERE { ?call <${TV}priority> ?priority }`);
+    const json = await fetch(`${base}/sparql?query=${query}`);
+    assert.equal(json.status, 200);
+    assert.match(json.headers.get('content-type'), /^application\/sparql-results\+json/);
+    assert.equal((await json.json()).results.bindings[0].call.value, 'http://televic.health.be/calls/0');
+
+    const csv = await fetch(`${base}/sparql?query=${query}`, { headers: { Accept: 'text/csv' } });
+    assert.equal(await csv.text(), 'call\r\nhttp://televic.health.be/calls/0\r\n');
+    assert.equal((await fetch(`${base}/sparql?query=${query}&format=yaml`)).status, 400);
+  });
+});
+
+test('only update operations change the store, and only when updates are allowed', async () => {
+  const store = callsStore();
+  await withServer(store, {}, async base => {
+    assert.equal((await fetch(`${base}/sparql`, form({ update: INSERT }))).status, 403);
+  });
+  await withServer(store, { update: true }, async base => {
+    // An update sent as a query is refused, with GET or POST
+    assert.equal((await fetch(`${base}/sparql?query=${encodeURIComponent(INSERT)}`)).status, 400);
+    assert.equal((await fetch(`${base}/sparql`, form({ query: INSERT }))).status, 400);
+    assert.equal((await fetch(`${base}/sparql`, {
+      method: 'POST', headers: { 'Content-Type': 'application/sparql-query' }, body: INSERT,
+    })).status, 400);
+    assert.equal(store.size, 1);
+
+    const update = await fetch(`${base}/sparql`, {
+      method: 'POST', headers: { 'Content-Type': 'application/sparql-update' }, body: INSERT,
+    });
+    assert.equal(update.status, 204);
+    assert.equal(store.size, 2);
+  });
+});
+
+test('the Graph Store Protocol only changes graphs when updates are allowed', async () => {
+  const store = callsStore();
+  const graph = `graph=${encodeURIComponent('urn:graph:extra')}`;
+  const put = { method: 'PUT', headers: { 'Content-Type': 'text/turtle' }, body: `<http://televic.health.be/rooms/room1> a <${TV}Room> .` };
+
+  await withServer(store, { graphStore: true }, async base => {
+    assert.equal((await fetch(`${base}/rdf-graph-store?${graph}`, put)).status, 403);
+    assert.equal((await fetch(`${base}/rdf-graph-store?default`, { method: 'DELETE' })).status, 403);
+    assert.equal((await fetch(`${base}/rdf-graph-store?default`)).status, 200);
+    assert.equal(store.size, 1);
+  });
+  await withServer(store, { graphStore: true, update: true }, async base => {
+    assert.equal((await fetch(`${base}/rdf-graph-store?${graph}`, put)).status, 201);
+    const download = await fetch(`${base}/rdf-graph-store?${graph}`, { headers: { Accept: 'application/n-triples' } });
+    assert.equal(await download.text(), `<http://televic.health.be/rooms/room1> <http://www.w3.org/1999/02/22-rdf-syntax-ns#type> <${TV}Room> .\n`);
+    assert.equal((await fetch(`${base}/rdf-graph-store?${graph}`, { method: 'DELETE' })).status, 204);
+    assert.equal(store.size, 1);
+  });
+});
+
+test('CORS headers are only sent for the configured origin', async () => {
+  await withServer(callsStore(), {}, async base => {
+    assert.equal((await fetch(base)).headers.get('access-control-allow-origin'), null);
+  });
+  await withServer(callsStore(), { cors: 'http://localhost:5173' }, async base => {
+    const response = await fetch(base, { method: 'OPTIONS' });
+    assert.equal(response.headers.get('access-control-allow-origin'), 'http://localhost:5173');
+    assert.equal(response.headers.get('access-control-allow-methods'), 'GET, POST, OPTIONS');
+  });
+});
@@ -0,0 +1,143 @@
+// stream.test.mjs
+// Continuous queries over windows of call events: which events every window
+// holds, what changed since the previous window, late events and events
+// without a valid time.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as N3 from 'n3';
+import { runContinuousQueries } from '../stream.js';
+import { configureLogger } from '../logger.js';
+
+configureLogger({ level: 'warn' });
+
+async function* eventsOf(records) {
+  yield* records;
+}
+
+// Run a query that returns the ids of the calls in a window, collecting the
+// { window, ids, added, removed } of every result
+async function runWindows(records, window, options = {}) {
+  const results = [];
+  const ids = rows => rows.map(row => row.id.value).sort();
+  const windows = await runContinuousQueries(eventsOf(records), {
+    window,
+    map: record => `<http://televic.health.be/calls/${record.id}> <http://televic.health.be/ontology/hasID> "${record.id}" .`,
+    evaluate: triples => ({
+      calls: new N3.Parser().parse(triples).map(item => ({ id: item.object })),
+    }),
+    onResult: ({ window: { start, end }, results: rows, added, removed }) => {
+      results.push({ window: `${start.slice(11, 16)}-${end.slice(11, 16)}`, ids: ids(rows), added: ids(added), removed: ids(removed) });
+    },
+    ...options,
+  });
+  return { windows, results };
+}
+
+const call = (id, time) => ({ id, timestamp: `2024-01-01T${time}:00Z` });
+
+test('tumbling windows hold the events of their range and skip repeated empty windows', async () => {
+  const { windows, results } = await runWindows(
+    [call('0', '10:00'), call('1', '10:05'), call('2', '10:12'), call('3', '10:31')],
+    { type: 'tumbling', range: '10m' });
+
+  // The windows between 10:20 and 10:30 and after the stream are empty once
+  assert.equal(windows, 5);
+  assert.deepEqual(results, [
+    { window: '10:00-10:10', ids: ['0', '1'], added: ['0', '1'], removed: [] },
+    { window: '10:10-10:20', ids: ['2'], added: ['2'], removed: ['0', '1'] },
+    { window: '10:20-10:30', ids: [], added: [], removed: ['2'] },
+    { window: '10:30-10:40', ids: ['3'], added: ['3'], removed: [] },
+    { window: '10:40-10:50', ids: [], added: [], removed: ['3'] },
+  ]);
+});
+
+test('sliding windows overlap and report what changed', async () => {
+  const { results } = await runWindows(
+    [call('0', '10:01'), call('1', '10:06'), call('2', '10:07')],
+    { type: 'sliding', range: '10m', slide: '5m' });
+
+  assert.deepEqual(results, [
+    { window: '09:55-10:05', ids: ['0'], added: ['0'], removed: [] },
+    { window: '10:00-10:10', ids: ['0', '1', '2'], added: ['1', '2'], removed: [] },
+    { window: '10:05-10:15', ids: ['1', '2'], added: [], removed: ['0'] },
+    { window: '10:10-10:20', ids: [], added: [], removed: ['1', '2'] },
+  ]);
+});
+
+test('late events only count for the windows that are still open', async () => {
+  // The event of 10:02 arrives after 10:11 closed the window of 10:00
+  const { results } = await runWindows(
+    [call('0', '10:01'), call('1', '10:11'), call('late', '10:02'), call('2', '10:13')],
+    { type: 'tumbling', range: '10m' }, { emit: 'always' });
+
+  assert.deepEqual(results.map(({ window, ids }) => [window, ids]), [
+    ['10:00-10:10', ['0']],
+    ['10:10-10:20', ['1', '2']],
+    ['10:20-10:30', []],
+  ]);
+});
+
+test('events without a valid time are skipped and leave the windows open', async () => {
+  // With the arrival time, the invalid event would close every window of 2024
+  const { results } = await runWindows(
+    [call('0', '10:01'), { id: 'invalid', timestamp: 'yesterday' }, { id: 'missing' }, call('1', '10:04')],
+    { type: 'tumbling', range: '10m' });
+
+  assert.deepEqual(results.map(({ window, ids }) => [window, ids]), [
+    ['10:00-10:10', ['0', '1']],
+    ['10:10-10:20', []],
+  ]);
+});
+
+test('event times without a timezone are UTC, whatever the timezone of the machine', async () => {
+  const timezone = process.env.TZ;
+  process.env.TZ = 'America/New_York';
+  try {
+    const { results } = await runWindows(
+      [{ id: '0', timestamp: '2024-01-01T10:01:00' }, { id: '1', timestamp: '2024-01-01T11:12:00+01:00' }],
+      { type: 'tumbling', range: '10m' });
+    assert.deepEqual(results.map(({ window, ids }) => [window, ids]), [
+      ['10:00-10:10', ['0']],
+      ['10:10-10:20', ['1']],
+      ['10:20-10:30', []],
+    ]);
+  } finally {
+    if (timezone === undefined) delete process.env.TZ;
+    else process.env.TZ = timezone;
+  }
+});
+
+test('a window that fails is skipped, also when the clock closes it', async () => {
+  // Windows by event time: the first evaluation fails
+  let failures = 1;
+  const failOnce = triples => {
+    if (failures-- > 0) throw new Error('evaluation failed');
+    return { calls: new N3.Parser().parse(triples).map(item => ({ id: item.object })) };
+  };
+  const { windows, results } = await runWindows(
+    [call('0', '10:01'), call('1', '10:11')],
+    { type: 'tumbling', range: '10m' }, { evaluate: failOnce });
+  assert.equal(windows, 2);
+  assert.deepEqual(results.map(({ window, ids }) => [window, ids]), [
+    ['10:10-10:20', ['1']],
+    ['10:20-10:30', []],
+  ]);
+
+  // Windows by arrival time, closed by the timer while the stream waits
+  failures = 1;
+  async function* slowEvents() {
+    yield { id: '0' };
+    await new Promise(resolve => setTimeout(resolve, 300));
+    yield { id: '1' };
+    await new Promise(resolve => setTimeout(resolve, 300));
+  }
+  const clocked = [];
+  await runContinuousQueries(slowEvents(), {
+    window: { type: 'tumbling', range: '100ms' },
+    timestamp: false,
+    map: record => `<http://televic.health.be/calls/${record.id}> <http://televic.health.be/ontology/hasID> "${record.id}" .`,
+    evaluate: failOnce,
+    onResult: ({ results: rows }) => clocked.push(rows.map(row => row.id.value)),
+  });
+  assert.deepEqual(clocked.filter(ids => ids.length > 0), [['1']]);
+});
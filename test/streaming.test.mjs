@@ -0,0 +1,100 @@
+// streaming.test.mjs
+// Streaming mapping of the own mapper: the same triples as mapping in
+// memory, with a report that stays bounded as the rows grow, and the fail
+// policy stopping at the first row with an issue.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import * as N3 from 'n3';
+import { isomorphic } from 'rdf-isomorphic';
+import { runMapping, runStreamingMapping, doMappingWithReport } from '../other/rdf-processor.js';
+import { configureLogger } from '../logger.js';
+
+const ROOT = path.join(path.dirname(fileURLToPath(import.meta.url)), '..');
+const mapping = fs.readFileSync(path.join(ROOT, 'mappings', 'calls.yml'), 'utf8');
+const quiet = () => {};
+configureLogger({ level: 'warn' });
+
+// Stream a mapping of the sources into a temporary N-Triples file, returning
+// the parsed triples and the report
+async function stream(sources, options = {}) {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'kg-stream-'));
+  try {
+    const output = path.join(directory, 'results.nt');
+    const { report } = await runStreamingMapping(mapping, sources, output, { onProgress: quiet, ...options });
+    return { quads: new N3.Parser().parse(fs.readFileSync(output, 'utf8')), report };
+  } finally {
+    fs.rmSync(directory, { recursive: true, force: true });
+  }
+}
+
+test('streaming mapping generates the triples of the mapping in memory', async () => {
+  const sources = { 'calls.csv': path.join(ROOT, 'calls.csv') };
+  const { triples } = await runMapping(mapping, sources);
+  const { quads, report } = await stream(sources);
+  assert.ok(quads.length > 0);
+  assert.ok(isomorphic(quads, new N3.Parser().parse(triples)));
+  assert.equal(report.summary.rows, 3);
+});
+
+test('the streaming report keeps a bounded number of issues and no subjects', async () => {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'kg-stream-'));
+  try {
+    // Every row has an invalid priority, and row 5 repeats the subject of row 1
+    const rows = ['1', '2', '3', '4', '1'].map(id => `${id},2024-01-01T10:00:0${id},room${id},high`);
+    const csv = path.join(directory, 'calls.csv');
+    fs.writeFileSync(csv, `id,timestamp,source,priority\n${rows.join('\n')}\n`, 'utf8');
+
+    const { report } = await stream({ 'calls.csv': csv }, { maxIssues: 2 });
+    assert.equal(report.summary.issues, 5);
+    assert.equal(report.triplesMaps.calls.issues.length, 2);
+    assert.equal(report.triplesMaps.calls.omittedIssues, 3);
+    assert.ok(report.triplesMaps.calls.issues.every(issue => issue.type === 'invalid-datatype'));
+  } finally {
+    fs.rmSync(directory, { recursive: true, force: true });
+  }
+});
+
+test('blank nodes of equal values are kept apart per TriplesMap', async () => {
+  const triplesMap = name => `
+    <#${name}> a rr:TriplesMap; rdfs:label "${name}";
+      rml:logicalSource [ rml:source "ids.csv"; rml:referenceFormulation ql:CSV ];
+      rr:subjectMap [ rml:reference "id"; rr:termType rr:BlankNode ];
+      rr:predicateObjectMap [ rr:predicate ex:${name}; rr:objectMap [ rml:reference "id" ] ].`;
+  const rml = `
+    @prefix rr: <http://www.w3.org/ns/r2rml#>.
+    @prefix rml: <http://semweb.mmlab.be/ns/rml#>.
+    @prefix ql: <http://semweb.mmlab.be/ns/ql#>.
+    @prefix rdfs: <http://www.w3.org/2000/01/rdf-schema#>.
+    @prefix ex: <http://example.com/>.
+    ${triplesMap('a')}${triplesMap('b')}`;
+
+  const { quads } = await doMappingWithReport(rml, { 'ids.csv': 'id\n1\n2\n1\n' });
+  const subjects = predicate => new Set(quads
+    .filter(item => item.predicate.value === `http://example.com/${predicate}`)
+    .map(item => item.subject.value));
+  // The same value gives the same blank node within a TriplesMap only
+  assert.equal(subjects('a').size, 2);
+  assert.equal(subjects('b').size, 2);
+  assert.ok([...subjects('a')].every(label => !subjects('b').has(label)));
+});
+
+test('the fail policy stops streaming at the first row with an issue', async () => {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'kg-stream-'));
+  try {
+    const rows = ['0,2024-01-01T10:00:00,room0,3', '1,2024-01-01T10:01:00,room1,high', '2,2024-01-01T10:02:00,room2,2'];
+    const csv = path.join(directory, 'calls.csv');
+    const output = path.join(directory, 'results.nt');
+    fs.writeFileSync(csv, `id,timestamp,source,priority\n${rows.join('\n')}\n`, 'utf8');
+
+    await assert.rejects(runStreamingMapping(mapping, { 'calls.csv': csv }, output, { policy: 'fail', onProgress: quiet }),
+      error => error.report.summary.rows === 2 && error.report.summary.issues === 1);
+    const subjects = new Set(new N3.Parser().parse(fs.readFileSync(output, 'utf8')).map(item => item.subject.value));
+    assert.deepEqual([...subjects], ['http://televic.health.be/calls/0']);
+  } finally {
+    fs.rmSync(directory, { recursive: true, force: true });
+  }
+});
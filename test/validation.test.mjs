@@ -0,0 +1,49 @@
+// validation.test.mjs
+// The SHACL validation stage with shapes/calls.ttl: conforming calls pass,
+// violations stop the pipeline unless onViolation is 'continue'.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { resolvePipeline, runValidateStage } from '../pipeline.js';
+import { configureLogger } from '../logger.js';
+
+const ROOT = path.join(path.dirname(fileURLToPath(import.meta.url)), '..');
+configureLogger({ level: 'warn' });
+
+const pipeline = onViolation => resolvePipeline({
+  validation: { shapes: ['shapes/calls.ttl'], onViolation },
+}, ROOT);
+
+const call = (id, priority, rooms) => [
+  `<http://televic.health.be/calls/${id}> a <http://televic.health.be/ontology/Call> .`,
+  `<http://televic.health.be/calls/${id}> <http://televic.health.be/ontology/priority> ${priority} .`,
+  ...rooms.map(room =>
+    `<http://televic.health.be/calls/${id}> <http://televic.health.be/ontology/callMadeBy> <http://televic.health.be/rooms/${room}> .`),
+].join('\n');
+
+const INTEGER = '"3"^^<http://www.w3.org/2001/XMLSchema#integer>';
+
+test('calls that match the shapes conform', async () => {
+  const result = await runValidateStage(pipeline(), call(0, INTEGER, ['room1']));
+  assert.equal(result.conforms, true);
+  assert.deepEqual(result.results, []);
+  assert.match(result.reportTurtle, /<http:\/\/www.w3.org\/ns\/shacl#conforms> true/);
+});
+
+test('violations fail the stage with the validation results', async () => {
+  const triples = `${call(0, '"high"', ['room1'])}\n${call(1, INTEGER, ['room1', 'room2'])}`;
+  await assert.rejects(runValidateStage(pipeline(), triples), error => {
+    assert.match(error.message, /2 violations/);
+    const focusNodes = error.validation.results.map(result => result.focusNode).sort();
+    assert.deepEqual(focusNodes, ['http://televic.health.be/calls/0', 'http://televic.health.be/calls/1']);
+    return true;
+  });
+});
+
+test('onViolation continue returns the violations', async () => {
+  const result = await runValidateStage(pipeline('continue'), call(0, INTEGER, []));
+  assert.equal(result.conforms, false);
+  assert.deepEqual(result.results.map(({ path: property, severity }) => [property, severity]),
+    [['http://televic.health.be/ontology/callMadeBy', 'Violation']]);
+});